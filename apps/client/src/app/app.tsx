@@ -4,13 +4,41 @@ import NxWelcome from './nx-welcome';
 import React, { useCallback, useEffect, useRef } from 'react';
 import useState from 'react-usestateref';
 // import '../turtle-world/demo';
-import { Interpreter, List } from '../turtle-world/logo';
-import { TurtleGraphics } from '../turtle-world/turtle';
+import { Interpreter, LogoError } from '../turtle-world/logo';
+import {
+  TurtleGraphics,
+  TurtleRecorder,
+  turtleCommands,
+} from '../turtle-world/turtle';
+import { RemoteInterpreter } from '../turtle-world/remote';
+import { WebStorage } from '../turtle-world/storage';
+import { Checker } from '../turtle-world/check';
+import { getLocale, localizedNames } from '../turtle-world/locales';
+import { LogoConsole } from '../turtle-world/console';
+import Console from './console';
 import Editor from '@monaco-editor/react';
 import { loader } from '@monaco-editor/react';
 // import io, { Socket } from 'socket.io-client';
 import * as Automerge from 'automerge';
 
+// Language for Logo procedure names and messages in this session,
+// chosen with a ?lang= page parameter such as ?lang=fr
+const lang = new URLSearchParams(window.location.search).get('lang') || 'en';
+const locale = getLocale(lang);
+
+const keywords = [
+  'cs',
+  'up',
+  'seth',
+  'back',
+  'right',
+  'down',
+  'repeat',
+  'forward',
+  'print',
+  'color',
+];
+
 // Create your own language definition here
 // You can safely look at other samples without losing modifications.
 // Modifications are not saved on browser refresh/close though -- copy often!
@@ -23,18 +51,7 @@ loader.init().then((monaco) => {
     // Set defaultToken to invalid to see what you do not tokenize yet
     // defaultToken: 'invalid',
 
-    keywords: [
-      'cs',
-      'up',
-      'seth',
-      'back',
-      'right',
-      'down',
-      'repeat',
-      'forward',
-      'print',
-      'color',
-    ],
+    keywords: [...keywords, ...localizedNames(locale, keywords)],
 
     typeKeywords: [
       '"black',
@@ -60,7 +77,7 @@ loader.init().then((monaco) => {
       root: [
         // identifiers and keywords
         [
-          /["a-z_$][\w$]*/,
+          /["a-zà-ÿ_$][\wà-ÿ$]*/,
           {
             cases: {
               '@typeKeywords': 'type.identifier',
@@ -82,36 +99,40 @@ loader.init().then((monaco) => {
     'logoLanguage',
     logoLanguageDefinition as any
   );
-
-  const loggerDefinition = {
-    // Set defaultToken to invalid to see what you do not tokenize yet
-    // The main tokenizer for our languages
-    tokenizer: {
-      root: [
-        // identifiers and keywords
-        [/\[[a-zA-Z 0-9:]+\]/, 'comment'],
-      ],
-    },
-  };
-
-  // Register a new language
-  monaco.languages.register({ id: 'loggerDefinition' });
-
-  // Register a tokens provider for the language
-  monaco.languages.setMonarchTokensProvider(
-    'loggerDefinition',
-    loggerDefinition as any
-  );
 });
 
 interface EditorState {
   content: Automerge.Text;
 }
 
+// Programs run in a worker, so this interpreter is only used for
+// checking code; it needs the same commands to know their inputs.
+function createCheckInterpreter() {
+  const logo = new Interpreter({ locale: locale });
+  logo.procedureScope.bindValues(turtleCommands(new TurtleRecorder()));
+  return logo;
+}
+
+function errorToMarker(monaco: any, error: any) {
+  return {
+    severity:
+      error.severity === 'warning'
+        ? monaco.MarkerSeverity.Warning
+        : monaco.MarkerSeverity.Error,
+    message: error.message,
+    code: error.code,
+    startLineNumber: error.line,
+    startColumn: error.column,
+    endLineNumber: error.endLine,
+    endColumn: error.endColumn,
+  };
+}
+
 export function App() {
   const displayRef = useRef<any>();
-  const logBoxRef = useRef<any>();
   const editorRef = useRef<any>();
+  const monacoRef = useRef<any>();
+  const remoteRef = useRef<RemoteInterpreter>();
   const editorOnChangeTimeoutRef = useRef<any>();
   const isLoading = useRef(true);
   const [isEditorReady, setIsEditorReady] = useState(false);
@@ -159,77 +180,31 @@ export function App() {
       // DOM node referenced by ref has changed and exists
       displayRef.current = node;
       const turtle = new TurtleGraphics(node, 640, 480);
-      setTurtle(turtle);
-      const api = {
-        // Turtle commands
-        cs: async function () {
-          turtle.clearScreen();
-        },
-        xcor: async function () {
-          return turtle.x;
-        },
-        ycor: async function () {
-          return turtle.y;
-        },
-        pos: async function () {
-          return List.of(turtle.x, turtle.y);
-        },
-        setpos: async function (list: any) {
-          if (!(list instanceof List)) {
-            throw new TypeError('list must be a list');
-          }
-          if (list.isEmpty() || list.tail.isEmpty()) {
-            throw new TypeError('list must have two elements');
-          }
-          const x = Number(list.head);
-          const y = Number(list.tail.head);
-          turtle.setPos(x, y);
-        },
-        heading: async function () {
-          return turtle.heading;
-        },
-        seth: async function (val: any) {
-          turtle.heading = Number(val);
-        },
-        forward: async function (dist: any) {
-          turtle.forward(+dist);
-        },
-        back: async function (dist: any) {
-          turtle.back(+dist);
-        },
-        right: async function (deg: any) {
-          turtle.right(+deg);
-        },
-        left: async function (deg: any) {
-          turtle.left(+deg);
-        },
-        up: async function () {
-          turtle.up();
-        },
-        down: async function () {
-          turtle.down();
-        },
-        color: async function (color: any) {
-          turtle.setColor('' + color);
-        },
-      };
-
-      logo.procedureScope.bindValues(api);
-      logo.onprint = async function (str: any) {
-        console.log('output', str);
-        const data = logBoxRef.current?.getValue();
-        console.log('output2', data, logBoxRef.current);
-        logBoxRef.current?.setValue(
-          `${data}\n[${new Date().toLocaleTimeString()}] ${str}`
-        );
-        logBoxRef.current?.revealLine(
-          logBoxRef.current?.getModel().getLineCount()
-        );
+      turtle.oninput = (event: object) => {
+        remoteRef.current?.dispatchEvent(event);
       };
+      setTurtle(turtle);
+      RemoteInterpreter.create({ locale: lang }).then((remote) => {
+        remote.ondraw = (operations: any) => {
+          turtle.draw(operations);
+        };
+        remote.onprint = (str: string) => {
+          logoConsole.write(str);
+        };
+        remote.ontaskerror = (error: Error) => {
+          logoConsole.write(String(error), 'error');
+        };
+        remote.onread = () => logoConsole.read();
+        remote.storage = new WebStorage(window.localStorage);
+        remoteRef.current = remote;
+        logoConsole.interpreter = remote;
+      });
     }
   }, []); // adjust deps
   const [turtle, setTurtle] = useState<any>();
-  const [logo, setLogo] = useState(new Interpreter());
+  const [logo, setLogo] = useState(createCheckInterpreter);
+  // Lines typed here run in the same worker as the editor's code
+  const [logoConsole] = useState(() => new LogoConsole(null, logo));
   const [code, setCode, codeRef] = useState(
     `
   ; Reset screen if you run it again
@@ -250,6 +225,7 @@ export function App() {
 
   const onChange = (newValue: any, event: any) => {
     setCode(newValue);
+    checkCode(newValue);
     // if (isLoading.current) return;
     // if (editorOnChangeTimeoutRef.current) {
     //   clearTimeout(editorOnChangeTimeoutRef.current);
@@ -265,15 +241,49 @@ export function App() {
     // }, 2000);
     // logo.execute(code);
   };
-  function handleLogboxDidMount(editor: any, monaco: any) {
-    // here is the editor instance
-    // you can store it in `useRef` for further usage
-    logBoxRef.current = editor;
-  }
-
   function handleEditorDidMount(editor: any, monaco: any) {
     editorRef.current = editor;
+    monacoRef.current = monaco;
     setIsEditorReady(true);
+    checkCode(editor.getValue());
+  }
+
+  function showError(error: any) {
+    logoConsole.write(String(error), 'error');
+    const monaco = monacoRef.current;
+    const model = editorRef.current?.getModel();
+    if (!monaco || !model) {
+      return;
+    }
+    if (error instanceof LogoError && error.hasLocation()) {
+      monaco.editor.setModelMarkers(model, 'logo', [
+        errorToMarker(monaco, error),
+      ]);
+    }
+  }
+
+  function checkCode(source: string) {
+    const monaco = monacoRef.current;
+    const model = editorRef.current?.getModel();
+    if (!monaco || !model) {
+      return;
+    }
+    const problems = new Checker(logo).check(source);
+    monaco.editor.setModelMarkers(
+      model,
+      'logo-check',
+      problems
+        .filter((problem) => problem.hasLocation())
+        .map((problem) => errorToMarker(monaco, problem))
+    );
+  }
+
+  function clearErrors() {
+    const monaco = monacoRef.current;
+    const model = editorRef.current?.getModel();
+    if (monaco && model) {
+      monaco.editor.setModelMarkers(model, 'logo', []);
+    }
   }
   return (
     <div style={{ flex: 1, flexDirection: 'row', display: 'flex' }}>
@@ -282,23 +292,7 @@ export function App() {
       <div style={{ flex: 1, display: 'flex', flexDirection: 'column' }}>
         <div id="logo-display" ref={onRefChange} style={{ flex: 2 }}></div>
         <div id="logger" style={{ flex: 1, display: 'flex' }}>
-          <Editor
-            onMount={handleLogboxDidMount}
-            defaultLanguage="loggerDefinition"
-            width="100%"
-            height="100%"
-            // defaultValue={code}
-            options={{
-              readOnly: true,
-              lineNumbers: 'off',
-              // glyphMargin: false,
-              // folding: false,
-              minimap: {
-                enabled: false,
-              },
-              renderLineHighlight: 'none',
-            }}
-          />
+          <Console console={logoConsole} />
         </div>
       </div>
       {/* <div id="logo-debug"></div>
@@ -335,7 +329,8 @@ export function App() {
           onClick={() => {
             // setCode('aaa');
             console.log(code);
-            logo.execute(codeRef.current);
+            clearErrors();
+            remoteRef.current?.execute(codeRef.current).catch(showError);
           }}
         >
           go
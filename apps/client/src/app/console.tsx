@@ -0,0 +1,85 @@
+import React, { useEffect, useReducer, useRef, useState } from 'react';
+import { LogoConsole } from '../turtle-world/console';
+
+const colors: { [kind: string]: string } = {
+  input: '#d4d4d4',
+  output: '#d4d4d4',
+  value: '#9cdcfe',
+  error: '#f48771',
+};
+
+interface ConsoleProps {
+  console: LogoConsole;
+}
+
+// Transcript and input line for a LogoConsole
+export function Console({ console: logoConsole }: ConsoleProps) {
+  const [, update] = useReducer((n: number) => n + 1, 0);
+  const [line, setLine] = useState('');
+  const endRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    logoConsole.onchange = update;
+    return () => {
+      logoConsole.onchange = null;
+    };
+  }, [logoConsole]);
+
+  useEffect(() => {
+    if (endRef.current && endRef.current.scrollIntoView) {
+      endRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  });
+
+  function onKeyDown(event: React.KeyboardEvent<HTMLInputElement>) {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      logoConsole.enter(line);
+      setLine('');
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setLine(logoConsole.previous(line));
+    } else if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setLine(logoConsole.next());
+    }
+  }
+
+  return (
+    <div
+      style={{
+        flex: 1,
+        overflow: 'auto',
+        padding: 4,
+        background: '#1e1e1e',
+        fontFamily: 'monospace',
+        whiteSpace: 'pre-wrap',
+      }}
+    >
+      {logoConsole.lines.map((entry, index) => (
+        <div key={index} style={{ color: colors[entry.kind] }}>
+          {entry.text}
+        </div>
+      ))}
+      <div ref={endRef} style={{ display: 'flex', color: colors['input'] }}>
+        <span>{logoConsole.prompt}</span>
+        <input
+          value={line}
+          onChange={(event) => setLine(event.target.value)}
+          onKeyDown={onKeyDown}
+          spellCheck={false}
+          style={{
+            flex: 1,
+            border: 'none',
+            outline: 'none',
+            background: 'transparent',
+            color: 'inherit',
+            font: 'inherit',
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default Console;
@@ -0,0 +1,647 @@
+/**
+ * Static checker for Logo source code.
+ *
+ * Reports likely mistakes without running anything, so it is
+ * cheap and safe enough to call on every keystroke.
+ *
+ * @file check.js
+ * @license ISC
+ */
+
+import {ErrorCodes, List, ListBuilder, LogoArray, LogoError, inputRange, parseInputs} from './logo.js';
+
+// Builtin inputs that are run as instruction lists,
+// by procedure name and input index.
+const instructionInputs = {
+    repeat: [1],
+    forever: [0],
+    if: [1],
+    ifelse: [1, 2],
+    while: [0, 1],
+    until: [0, 1],
+    'do.while': [0, 1],
+    'do.until': [0, 1],
+    for: [1],
+    iftrue: [0],
+    iffalse: [0],
+    catch: [1],
+    run: [0],
+    runresult: [0],
+    launch: [0],
+    every: [1],
+    after: [1],
+    onkey: [0],
+    onclick: [0],
+    ondrag: [0],
+};
+
+// Builtin inputs that are run as templates like `[[x] print :x]`
+// or `[print ?]`.
+const templateInputs = {
+    apply: [0],
+    invoke: [0],
+    foreach: [1],
+    map: [1],
+    filter: [1],
+    find: [1],
+    reduce: [1],
+    crossmap: [1],
+    cascade: [0, 2],
+    transfer: [0, 2],
+    sort: [1],
+};
+
+// Builtins that bind the variables named by their quoted inputs,
+// or like `for` by the first word of a control list.
+const bindingProcedures = ['make', 'local', 'global', 'for'];
+
+// Builtins that end the current procedure.
+const stopProcedures = ['stop', 'output'];
+
+// Builtins that always output a value, which must then be used.
+const operations = [
+    'true', 'false', 'and', 'or', 'not',
+    'word', 'se', 'list', 'fput', 'lput', 'combine', 'reverse',
+    'count', 'first', 'last', 'butfirst', 'butlast', 'item', 'mditem',
+    'char', 'ascii', 'uppercase', 'lowercase', 'member', 'gensym', 'form',
+    'array', 'mdarray', 'listtoarray', 'arraytolist', 'remove',
+    'readword', 'readlist', 'readchar', 'keyboardvalue', 'mousepos', 'buttonp',
+    'timer', 'seconds', 'time', 'date', 'thing',
+    '+', '-', '*', '/', '<', '>', '=',
+    'sum', 'difference', 'minus', 'product', 'quotient', 'remainder', 'modulo',
+    'abs', 'int', 'round', 'sqrt', 'power', 'exp', 'ln', 'log10',
+    'sin', 'cos', 'tan', 'arctan', 'radsin', 'radcos', 'radtan', 'radarctan',
+    'random', 'pick', 'bitand', 'bitor', 'bitxor', 'bitnot', 'ashift', 'lshift',
+    'emptyp', 'equalp', 'listp', 'arrayp', 'memberp', 'substringp', 'beforep',
+    'numberp', 'wordp', 'runresult', 'repcount',
+    'map', 'filter', 'find', 'reduce', 'crossmap', 'cascade', 'transfer',
+    'sort', 'iseq', 'rseq', '?', '?rest',
+    'gprop', 'plist', 'text', 'macrop', 'procedures', 'names', 'plists',
+    'primitivep', 'definedp',
+    'xcor', 'ycor', 'pos', 'heading',
+];
+
+const reOperators = /^[-+*/<>]$/;
+const reTemplateSlot = /^\?[0-9]+$/;
+
+function isOperator(val) {
+    return typeof val === 'string' && reOperators.test(val);
+}
+
+function isList(val) {
+    return val instanceof List;
+}
+
+/**
+ * Walks parsed Logo code the way `Interpreter#evaluate` does,
+ * counting inputs instead of evaluating them.
+ *
+ * Problems are reported as `LogoError` objects which are not
+ * thrown, with an extra `severity` of `'error'` for code that
+ * will certainly fail when run, or `'warning'` for code that
+ * is merely suspicious.
+ *
+ * Usage:
+ *
+ * ```js
+ * let checker = new Checker(interpreter);
+ * for (let problem of checker.check(source)) {
+ *     console.log(problem.severity, problem.line, problem.message);
+ * }
+ * ```
+ */
+export class Checker {
+    /**
+     * @param {Interpreter} interpreter - supplies the parser and the
+     *   builtin and previously defined procedures
+     */
+    constructor(interpreter) {
+        this.interpreter = interpreter;
+        this.diagnostics = [];
+        // user procedures defined in the source, by name
+        this.procedures = new Map();
+        // earliest source offset at which each variable is bound
+        this.bound = new Map();
+        // parameter names of all procedures, for dynamic scoping
+        this.parameters = new Set();
+    }
+
+    /**
+     * Check the given source code.
+     *
+     * @param {string} source
+     * @returns {Array<LogoError>} problems found, in source order
+     */
+    check(source) {
+        this.diagnostics = [];
+        this.procedures = new Map();
+        this.bound = new Map();
+        this.parameters = new Set();
+
+        let parsed;
+        try {
+            parsed = this.interpreter.parse(source);
+        } catch (e) {
+            if (!(e instanceof LogoError)) {
+                throw e;
+            }
+            e.severity = 'error';
+            return [this.interpreter.localizeError(e)];
+        }
+
+        this.collectDefinitions(parsed);
+        this.collectBindings(parsed);
+
+        let toplevel = {
+            procedure: null,
+            locals: new Set(),
+        };
+        this.checkBody(parsed, toplevel, true);
+
+        for (let procedure of this.procedures.values()) {
+            let context = {
+                procedure: procedure,
+                locals: new Set(procedure.params),
+            };
+            for (let {value} of procedure.spec.optional) {
+                this.checkBody(value, context);
+            }
+            this.checkBody(procedure.body, context);
+        }
+
+        return this.diagnostics.sort((a, b) => {
+            return (a.start || 0) - (b.start || 0);
+        });
+    }
+
+    report(severity, node, code, message, location=undefined) {
+        let diagnostic = this.interpreter.errorAt(node, code, message);
+        if (location) {
+            diagnostic.setLocation(location);
+        }
+        diagnostic.severity = severity;
+        this.diagnostics.push(this.interpreter.localizeError(diagnostic));
+    }
+
+    /**
+     * Find all `to ... end` and `.macro ... end` definitions at
+     * the top level, mirroring `handleTo` in the interpreter.
+     *
+     * @param {List} parsed
+     */
+    collectDefinitions(parsed) {
+        let interpreter = this.interpreter;
+        let iter = parsed;
+        while (!iter.isEmpty()) {
+            if (!interpreter.isDefinition(iter.head)) {
+                iter = iter.tail;
+                continue;
+            }
+            let node = iter;
+            iter = iter.tail;
+            let name = iter.head;
+            if (typeof name !== 'string') {
+                this.report('error', node, ErrorCodes.BAD_DEFINITION,
+                    'Procedure name must be a word');
+                continue;
+            }
+            iter = iter.tail;
+
+            let {inputs, next} = interpreter.collectInputs(node, iter);
+            iter = next;
+            let spec;
+            try {
+                spec = parseInputs(inputs);
+            } catch (e) {
+                this.report('error', node, ErrorCodes.BAD_DEFINITION, e.message);
+                spec = parseInputs([]);
+            }
+            let params = spec.required.concat(spec.optional.map((input) => input.name));
+            if (spec.rest !== undefined) {
+                params.push(spec.rest);
+            }
+            params = params.map((param) => this.fold(param));
+            for (let param of params) {
+                this.parameters.add(param);
+            }
+
+            let body = new ListBuilder();
+            let ended = false;
+            while (!iter.isEmpty()) {
+                if (interpreter.isKeyword(iter.head, 'end')) {
+                    ended = true;
+                    iter = iter.tail;
+                    break;
+                }
+                body.push(iter.head);
+                let map = interpreter.sourceForNode(iter);
+                if (map) {
+                    interpreter.sourceMap.set(body.end, map);
+                }
+                iter = iter.tail;
+            }
+            if (!ended) {
+                this.report('error', node, ErrorCodes.BAD_DEFINITION,
+                    'to ' + name + ' has no matching end');
+            }
+            this.procedures.set(this.fold(name), {
+                name: name,
+                params: params,
+                spec: spec,
+                body: body.list,
+                node: node,
+                // Macros output code to run rather than a value
+                outputs: !interpreter.isKeyword(node.head, '.macro') && this.hasOutput(body.list),
+            });
+        }
+    }
+
+    /**
+     * Whether a procedure body has `output` as one of its own
+     * instructions, not only inside a list run conditionally,
+     * so that calls to it output a value.
+     *
+     * @param {List} body
+     * @returns {boolean}
+     */
+    hasOutput(body) {
+        for (let val of body) {
+            if (typeof val !== 'string') {
+                continue;
+            }
+            let binding = this.interpreter.procedureScope.getBinding(val);
+            if (binding && binding.value.name === 'output') {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Record where each variable is first bound by a quoted
+     * input to `make`, `local` or `global`, or by `for`,
+     * anywhere in the code.
+     *
+     * @param {List} list
+     */
+    collectBindings(list) {
+        for (let cursor of list.cursors()) {
+            let val = cursor.head;
+            if (isList(val)) {
+                this.collectBindings(val);
+                continue;
+            }
+            let procedure = this.lookup(val);
+            if (!procedure || !bindingProcedures.includes(procedure.name)) {
+                continue;
+            }
+            let next = cursor.tail;
+            if (next.isEmpty()) {
+                continue;
+            }
+            let names;
+            if (procedure.name === 'for') {
+                names = isList(next.head) ? [next.head.head] : [];
+            } else {
+                names = isList(next.head) ? Array.from(next.head) : [next.head];
+            }
+            for (let name of names) {
+                if (typeof name !== 'string') {
+                    continue;
+                }
+                if (name[0] === '"') {
+                    name = name.substr(1);
+                }
+                let offset = this.offset(cursor);
+                name = this.fold(name);
+                if (!this.bound.has(name) || offset < this.bound.get(name)) {
+                    this.bound.set(name, offset);
+                }
+            }
+        }
+    }
+
+    /**
+     * Name as the interpreter's dialect binds it, see `Scope#key`.
+     *
+     * @param {string} name
+     * @returns {string}
+     */
+    fold(name) {
+        return this.interpreter.globalScope.key(name);
+    }
+
+    offset(node) {
+        let map = this.interpreter.sourceForNode(node);
+        return map ? map.start : 0;
+    }
+
+    /**
+     * Find a procedure by name, returning its canonical name,
+     * number of inputs, and fewest and most inputs in parentheses.
+     *
+     * @param {string} name
+     * @returns {{name: string, arity: number, min: number,
+     *   max: number}|undefined}
+     */
+    lookup(name) {
+        if (typeof name !== 'string') {
+            return undefined;
+        }
+        let procedure = this.procedures.get(this.fold(name));
+        if (procedure) {
+            let {required, optional, rest, arity} = procedure.spec;
+            return {
+                name: procedure.name,
+                arity: arity,
+                min: required.length,
+                max: rest === undefined ? required.length + optional.length : Infinity,
+                user: true,
+                outputs: procedure.outputs,
+            };
+        }
+        let binding = this.interpreter.procedureScope.getBinding(name);
+        if (binding) {
+            let func = binding.value;
+            let {min, max} = inputRange(func);
+            return {
+                name: func.name || name,
+                arity: func.length,
+                min: min,
+                max: max,
+                user: false,
+                outputs: operations.includes(func.name || name),
+            };
+        }
+        if (reTemplateSlot.test(name) && this.interpreter.procedureScope.getBinding('?')) {
+            // ?2 etc. in question-mark templates, where ? exists
+            return {
+                name: '?',
+                arity: 0,
+                min: 0,
+                max: 0,
+                user: false,
+                outputs: true,
+            };
+        }
+        return undefined;
+    }
+
+    isBound(name, node, context) {
+        name = this.fold(name);
+        if (context.locals.has(name)) {
+            return true;
+        }
+        if (this.interpreter.globalScope.getBinding(name)) {
+            return true;
+        }
+        if (context.procedure) {
+            // Procedures may be called from anywhere, and may see
+            // their callers' variables.
+            return this.bound.has(name) || this.parameters.has(name);
+        }
+        return this.bound.has(name) && this.bound.get(name) < this.offset(node);
+    }
+
+    /**
+     * Check a list of instructions.
+     *
+     * @param {List} body
+     * @param {object} context - the enclosing procedure and local names
+     * @param {boolean} [program] - whether the body is the whole
+     *   program, where an output at the end has nowhere to go
+     */
+    checkBody(body, context, program=false) {
+        let iter = body;
+        while (!iter.isEmpty()) {
+            if (this.interpreter.isDefinition(iter.head) && !context.procedure) {
+                iter = this.skipDefinition(iter);
+                continue;
+            }
+            let node = iter;
+            let result = this.checkArg(iter, context);
+            iter = result.next;
+            if (result.outputs && !iter.isEmpty()) {
+                this.report('error', iter, ErrorCodes.UNUSED_OUTPUT,
+                    'Extra instructions after a value-returning expression: ' + iter.head);
+                return;
+            }
+            if (result.outputs && program) {
+                let value = result.value;
+                if (value === undefined) {
+                    value = 'from ' + (node.head === '(' ? node.tail.head : node.head);
+                }
+                this.report('error', node, ErrorCodes.UNUSED_OUTPUT,
+                    'Unhandled output value ' + value);
+            }
+            if (result.stops && !iter.isEmpty()) {
+                let from = this.interpreter.sourceForNode(iter);
+                let to = this.interpreter.sourceForNode(iter.end());
+                let location = from && to ? {
+                    source: from.source,
+                    start: from.start,
+                    end: to.end,
+                } : undefined;
+                this.report('warning', iter, ErrorCodes.UNREACHABLE_CODE,
+                    'Unreachable code after ' + result.stops, location);
+                return;
+            }
+        }
+    }
+
+    skipDefinition(iter) {
+        while (!iter.isEmpty()) {
+            if (this.interpreter.isKeyword(iter.head, 'end')) {
+                return iter.tail;
+            }
+            iter = iter.tail;
+        }
+        return iter;
+    }
+
+    /**
+     * Check one expression, including any infix operators.
+     *
+     * @param {List} iter - list record at the start of the expression
+     * @param {object} context
+     * @returns {{next: List, stops: string|undefined, outputs: boolean|undefined,
+     *   value: LogoValue|undefined}} where `outputs` tells whether the
+     *   expression outputs a value, and `value` is that value when it
+     *   is a literal
+     */
+    checkArg(iter, context) {
+        let result;
+        let val = iter.head;
+        if (val === '(') {
+            result = this.checkVariadic(iter, context);
+        } else if (isList(val) || val instanceof LogoArray || typeof val === 'number' || typeof val === 'boolean') {
+            result = {next: iter.tail, outputs: true, value: val};
+        } else if (typeof val === 'string' && val[0] === '"') {
+            result = {next: iter.tail, outputs: true, value: val.substr(1)};
+        } else if (typeof val === 'string' && val[0] === ':') {
+            let name = val.substr(1);
+            if (!this.isBound(name, iter, context)) {
+                this.report('warning', iter, ErrorCodes.UNDECLARED_VARIABLE,
+                    name + ' is used before any make');
+            }
+            result = {next: iter.tail, outputs: true};
+        } else {
+            result = this.checkCall(iter, context);
+        }
+
+        while (isOperator(result.next.head)) {
+            let operator = result.next;
+            if (operator.tail.isEmpty()) {
+                this.report('error', operator, ErrorCodes.NOT_ENOUGH_INPUTS,
+                    'Not enough inputs to ' + operator.head);
+                return {next: operator.tail};
+            }
+            result = {
+                next: this.checkArg(operator.tail, context).next,
+                outputs: true,
+            };
+        }
+        return result;
+    }
+
+    checkCall(iter, context) {
+        let node = iter;
+        let name = node.head;
+        if (name === ')') {
+            this.report('error', node, ErrorCodes.UNEXPECTED_PAREN,
+                'Unexpected close paren');
+            return {next: node.tail};
+        }
+        let procedure = this.checkProcedure(node, context);
+        iter = node.tail;
+        for (let index = 0; index < procedure.arity; index++) {
+            if (iter.isEmpty()) {
+                this.report('error', node, ErrorCodes.NOT_ENOUGH_INPUTS,
+                    'Not enough inputs to ' + name);
+                break;
+            }
+            if (iter.head === ')') {
+                this.report('error', iter, ErrorCodes.UNEXPECTED_PAREN,
+                    'Unexpected close paren');
+                break;
+            }
+            iter = this.checkInput(procedure, index, iter, context);
+        }
+        return {
+            next: iter,
+            stops: stopProcedures.includes(procedure.name) ? name : undefined,
+            outputs: procedure.outputs,
+        };
+    }
+
+    checkVariadic(iter, context) {
+        let open = iter;
+        iter = iter.tail;
+        if (iter.isEmpty()) {
+            this.report('error', open, ErrorCodes.END_OF_INPUT,
+                'End of input expecting variadic command');
+            return {next: iter};
+        }
+
+        let node = iter;
+        let name = node.head;
+        let procedure;
+        if (typeof name === 'string' && name[0] !== '"' && name[0] !== ':' && name !== '(') {
+            procedure = this.checkProcedure(node, context);
+            iter = iter.tail;
+        } else {
+            iter = this.checkArg(iter, context).next;
+        }
+
+        let count = 0;
+        while (iter.head !== ')') {
+            if (iter.isEmpty()) {
+                this.report('error', open, ErrorCodes.END_OF_INPUT,
+                    'End of input expecting variadic arg');
+                return {next: iter};
+            }
+            if (procedure) {
+                iter = this.checkInput(procedure, count, iter, context);
+            } else {
+                iter = this.checkArg(iter, context).next;
+            }
+            count++;
+        }
+        // Consume the ")"
+        iter = iter.tail;
+
+        if (procedure && count < procedure.min) {
+            this.report('error', node, ErrorCodes.NOT_ENOUGH_INPUTS,
+                'Not enough args to ' + name);
+        }
+        if (procedure && count > procedure.max) {
+            this.report('error', node, ErrorCodes.TOO_MANY_INPUTS,
+                'Too many args to ' + name);
+        }
+        if (!procedure && count) {
+            this.report('error', node, ErrorCodes.TOO_MANY_INPUTS,
+                'Got unexpected args to a literal');
+        }
+        return {
+            next: iter,
+            stops: procedure && stopProcedures.includes(procedure.name) ? name : undefined,
+            outputs: procedure ? procedure.outputs : true,
+        };
+    }
+
+    /**
+     * Look up the procedure called at the given node, reporting
+     * unknown names and misplaced `stop` and `output`.
+     *
+     * @returns {{name: string, arity: number, outputs: boolean|undefined}}
+     */
+    checkProcedure(node, context) {
+        let name = node.head;
+        if (name === '-') {
+            // Unary minus
+            return {name: name, arity: 1, outputs: true};
+        }
+        let procedure = this.lookup(name);
+        if (!procedure) {
+            this.report('error', node, ErrorCodes.UNBOUND_FUNCTION,
+                'Unbound function: ' + name);
+            return {name: name, arity: 0};
+        }
+        if (!context.procedure && stopProcedures.includes(procedure.name)) {
+            this.report('error', node, ErrorCodes.STOP_AT_TOPLEVEL,
+                name + ' is not allowed at top level');
+        }
+        return procedure;
+    }
+
+    /**
+     * Check one input to a procedure call, descending into
+     * instruction lists and templates given as literal lists.
+     *
+     * @returns {List} the list record after the input
+     */
+    checkInput(procedure, index, iter, context) {
+        let val = iter.head;
+        if (isList(val) && !procedure.user) {
+            let instructions = instructionInputs[procedure.name];
+            if (instructions && instructions.includes(index)) {
+                this.checkBody(val, context);
+            }
+            let templates = templateInputs[procedure.name];
+            if (templates && templates.includes(index) && isList(val.head)) {
+                let locals = new Set(context.locals);
+                for (let name of val.head) {
+                    locals.add(this.fold(String(name)));
+                }
+                this.checkBody(val.tail, {
+                    procedure: context.procedure,
+                    locals: locals,
+                });
+            } else if (templates && templates.includes(index) && !val.isEmpty()) {
+                // Question-mark form
+                this.checkBody(val, context);
+            }
+        }
+        return this.checkArg(iter, context).next;
+    }
+}
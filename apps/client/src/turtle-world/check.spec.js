@@ -0,0 +1,305 @@
+import { Checker } from './check';
+import { ErrorCodes, Interpreter } from './logo';
+
+function check(source, logo = new Interpreter()) {
+  const checker = new Checker(logo);
+  return checker.check(source).map((problem) => ({
+    severity: problem.severity,
+    code: problem.code,
+    line: problem.line,
+    token: problem.token,
+  }));
+}
+
+describe('Checker', () => {
+  it('should accept a correct program', () => {
+    const source = [
+      'to square :size',
+      '  repeat 4 [forward :size right 90]',
+      'end',
+      'make "n 10',
+      'square :n',
+      'print map [1 2 3] [[x] product :x 2]',
+    ].join('\n');
+    const logo = new Interpreter();
+    logo.procedureScope.bindValues({
+      forward: async (dist) => dist,
+      right: async (deg) => deg,
+    });
+    expect(check(source, logo)).toEqual([]);
+  });
+
+  it('should report parse errors', () => {
+    expect(check('print [1 2')).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.UNTERMINATED_LIST,
+        line: 1,
+        token: '[',
+      },
+    ]);
+  });
+
+  it('should report unknown procedures inside instruction lists', () => {
+    expect(check('print 1\nrepeat 4 [fowrad 10]')).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.UNBOUND_FUNCTION,
+        line: 2,
+        token: 'fowrad',
+      },
+    ]);
+  });
+
+  it('should check loop bodies and for variables', () => {
+    expect(check('for [i 1 3] [print :i]\nwhile [:i < 3] [fowrad 10]')).toEqual(
+      [
+        {
+          severity: 'error',
+          code: ErrorCodes.UNBOUND_FUNCTION,
+          line: 2,
+          token: 'fowrad',
+        },
+      ]
+    );
+  });
+
+  it('should check question-mark templates', () => {
+    expect(
+      check('show map [1 2] [? * 2]\nshow filter [1 2] [fowrad ?1]')
+    ).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.UNBOUND_FUNCTION,
+        line: 2,
+        token: 'fowrad',
+      },
+    ]);
+  });
+
+  it('should not look into data lists', () => {
+    expect(check('print item 2 [black blue]')).toEqual([]);
+  });
+
+  it('should accept array literals', () => {
+    expect(check('print item 2 {black blue}@0')).toEqual([]);
+  });
+
+  it('should report missing inputs', () => {
+    expect(check('print sum 1')).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.NOT_ENOUGH_INPUTS,
+        line: 1,
+        token: 'sum',
+      },
+    ]);
+    expect(check('print (sum 1)')).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.NOT_ENOUGH_INPUTS,
+        line: 1,
+        token: 'sum',
+      },
+    ]);
+  });
+
+  it('should report missing inputs as the interpreter does', async () => {
+    const logo = new Interpreter();
+    const [problem] = new Checker(logo).check('print sum 1');
+    await expect(logo.execute('print sum 1')).rejects.toMatchObject({
+      code: problem.code,
+      message: problem.message,
+    });
+  });
+
+  it('should report outputs left unused', () => {
+    const logo = new Interpreter();
+    logo.procedureScope.bindValues({
+      forward: async (dist) => dist,
+    });
+    expect(check('forward 10 20', logo)).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.UNUSED_OUTPUT,
+        line: 1,
+        token: 20,
+      },
+    ]);
+    const source = 'to sq :n\n  output :n * :n\nend\nprint sq 2 3';
+    expect(check(source)).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.UNUSED_OUTPUT,
+        line: 4,
+        token: 3,
+      },
+    ]);
+    expect(check('sum 1 2\nprint 3')).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.UNUSED_OUTPUT,
+        line: 2,
+        token: 'print',
+      },
+    ]);
+  });
+
+  it('should allow outputs that are used', () => {
+    const source = [
+      'to f :x',
+      '  if :x [output 1]',
+      '  print 2',
+      'end',
+      'f "false',
+      'show map [1 2] [? * 2]',
+      'print runresult [sum 1 2]',
+    ].join('\n');
+    expect(check(source)).toEqual([]);
+  });
+
+  it('should check user procedure inputs', () => {
+    const source = 'to twice :a :b\n  output :a * 2\nend\nprint twice 1';
+    expect(check(source)).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.NOT_ENOUGH_INPUTS,
+        line: 4,
+        token: 'twice',
+      },
+    ]);
+  });
+
+  it('should check optional and rest inputs', () => {
+    const source = [
+      'to poly :sides [:size :sides * 10] [:rest]',
+      '  print :size',
+      'end',
+      'poly 5',
+      '(poly)',
+      'to pair :a [:b 2]',
+      'end',
+      '(pair 1 2 3)',
+    ].join('\n');
+    expect(check(source)).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.NOT_ENOUGH_INPUTS,
+        line: 5,
+        token: 'poly',
+      },
+      {
+        severity: 'error',
+        code: ErrorCodes.TOO_MANY_INPUTS,
+        line: 8,
+        token: 'pair',
+      },
+    ]);
+  });
+
+  it('should check macro definitions and calls', () => {
+    const source = [
+      '.macro twice :body',
+      '  output se :body :body',
+      'end',
+      'twice [print 1]',
+      'twice',
+    ].join('\n');
+    expect(check(source)).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.NOT_ENOUGH_INPUTS,
+        line: 5,
+        token: 'twice',
+      },
+    ]);
+  });
+
+  it('should report to without end', () => {
+    expect(check('to square\n  print 1')).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.BAD_DEFINITION,
+        line: 1,
+        token: 'to',
+      },
+    ]);
+  });
+
+  it('should report stop and output at top level', () => {
+    expect(check('if true [stop]\nop 1')).toEqual([
+      {
+        severity: 'error',
+        code: ErrorCodes.STOP_AT_TOPLEVEL,
+        line: 1,
+        token: 'stop',
+      },
+      {
+        severity: 'error',
+        code: ErrorCodes.STOP_AT_TOPLEVEL,
+        line: 2,
+        token: 'op',
+      },
+    ]);
+  });
+
+  it('should report variables read before any make', () => {
+    expect(check('print :x\nmake "x 1\nprint :x')).toEqual([
+      {
+        severity: 'warning',
+        code: ErrorCodes.UNDECLARED_VARIABLE,
+        line: 1,
+        token: ':x',
+      },
+    ]);
+  });
+
+  it('should allow procedures to read variables made elsewhere', () => {
+    const source = [
+      'to show.size',
+      '  print :size',
+      'end',
+      'to draw :size',
+      '  show.size',
+      'end',
+      'make "size 1',
+    ].join('\n');
+    expect(check(source)).toEqual([]);
+  });
+
+  it('should report unreachable code after output', () => {
+    const source = 'to f\n  output 1\n  print 2\nend';
+    const problems = new Checker(new Interpreter()).check(source);
+    expect(problems.length).toBe(1);
+    expect(problems[0].severity).toBe('warning');
+    expect(problems[0].code).toBe(ErrorCodes.UNREACHABLE_CODE);
+    expect(problems[0].line).toBe(3);
+    expect(problems[0].endColumn).toBe(10);
+  });
+
+  it('should follow the interpreter dialect', () => {
+    const source = 'TO Grow :Size\n  PRINT :SIZE\nEND\ngrow 1';
+    expect(check(source, new Interpreter({ dialect: 'ucblogo' }))).toEqual([]);
+    expect(check(source).map((problem) => problem.code)).toContain(
+      ErrorCodes.UNBOUND_FUNCTION
+    );
+  });
+
+  it('should only take ?1 in dialects having ?', () => {
+    const source = 'show map [1 2] [?1 * 2]';
+    expect(check(source)).toEqual([]);
+    expect(
+      check(source, new Interpreter({ dialect: 'apple' })).map(
+        (problem) => problem.token
+      )
+    ).toEqual(['?1']);
+  });
+
+  it('should not run anything', () => {
+    const logo = new Interpreter();
+    logo.onprint = jest.fn();
+    check('print 1\nmake "x 2', logo);
+    expect(logo.onprint).not.toHaveBeenCalled();
+    expect(logo.globalScope.getBinding('x')).toBeUndefined();
+  });
+});
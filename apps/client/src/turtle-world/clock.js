@@ -0,0 +1,130 @@
+/**
+ * Clocks for the Logo time primitives, for `Interpreter#clock`:
+ * `wait`, `every`, `after`, `waitframe`, `timer` and so on.
+ *
+ * A clock has methods:
+ *
+ * - `now()` returning milliseconds since the Unix epoch
+ * - `setTimeout(callback, ms)` returning an id, and
+ *   `clearTimeout(id)`
+ * - `requestFrame(callback)` calling back before the next
+ *   animation frame is drawn, returning an id, and
+ *   `cancelFrame(id)`
+ *
+ * @file clock.js
+ * @license ISC
+ */
+
+// Milliseconds per frame where there are no animation frames
+const frameInterval = 1000 / 60;
+
+/**
+ * Milliseconds from a time until the next frame starts, with
+ * frames every `frameInterval` since the epoch.
+ *
+ * @param {number} time
+ * @returns {number}
+ */
+function untilNextFrame(time) {
+    return frameInterval - time % frameInterval;
+}
+
+/**
+ * The real clock, with frames from `requestAnimationFrame` when
+ * available, as in pages and most workers, otherwise at 60 per
+ * second.
+ */
+export const systemClock = {
+    now() {
+        return Date.now();
+    },
+    setTimeout(callback, ms) {
+        return setTimeout(callback, ms);
+    },
+    clearTimeout(id) {
+        clearTimeout(id);
+    },
+    requestFrame(callback) {
+        if (typeof requestAnimationFrame === 'function') {
+            return requestAnimationFrame(callback);
+        }
+        return setTimeout(callback, untilNextFrame(Date.now()));
+    },
+    cancelFrame(id) {
+        if (typeof cancelAnimationFrame === 'function') {
+            cancelAnimationFrame(id);
+        } else {
+            clearTimeout(id);
+        }
+    },
+};
+
+/**
+ * A clock that only moves when told to, so tests of timing
+ * don't have to wait and don't depend on the machine's speed.
+ * Frames come every 1/60 second.
+ */
+export class FakeClock {
+    /**
+     * @param {number} [time] - starting time, in milliseconds
+     *   since the Unix epoch
+     */
+    constructor(time=0) {
+        this.time = time;
+        // Pending timers as {id, at, callback}, in no order
+        this.timers = [];
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms) {
+        let id = this.nextId++;
+        this.timers.push({
+            id: id,
+            at: this.time + Math.max(0, ms),
+            callback: callback,
+        });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter((timer) => timer.id !== id);
+    }
+
+    requestFrame(callback) {
+        return this.setTimeout(() => callback(this.time), untilNextFrame(this.time));
+    }
+
+    cancelFrame(id) {
+        this.clearTimeout(id);
+    }
+
+    /**
+     * Move time forward, calling timers as they come due, in
+     * order. Timers set by those callbacks are called too if
+     * they come due in time.
+     *
+     * @param {number} ms
+     */
+    advance(ms) {
+        let end = this.time + ms;
+        for (;;) {
+            let next = null;
+            for (let timer of this.timers) {
+                if (timer.at <= end && (!next || timer.at < next.at)) {
+                    next = timer;
+                }
+            }
+            if (!next) {
+                break;
+            }
+            this.clearTimeout(next.id);
+            this.time = next.at;
+            next.callback();
+        }
+        this.time = end;
+    }
+}
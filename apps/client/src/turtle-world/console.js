@@ -0,0 +1,239 @@
+/**
+ * An interactive Logo console: lines typed by the user run one
+ * after another in the same interpreter, so procedures and
+ * variables carry over from line to line.
+ *
+ * Definitions may span several lines, which are collected with
+ * a continuation prompt until the `end`. Outputs of instructions
+ * are echoed, and `readword` and `readlist` read the next line
+ * typed while they wait.
+ *
+ * The console keeps its transcript and history but draws
+ * nothing itself; see app/console.tsx for the view.
+ *
+ * @file console.js
+ * @license ISC
+ */
+
+import {ErrorCodes, List, LogoError} from './logo.js';
+
+// Parse errors meaning more lines are needed
+const incompleteCodes = [
+    ErrorCodes.UNTERMINATED_LIST,
+    ErrorCodes.UNTERMINATED_ARRAY,
+    ErrorCodes.TRAILING_BACKSLASH,
+];
+
+export class LogoConsole {
+    /**
+     * @param {Interpreter|RemoteInterpreter} [interpreter] - runs
+     *   the lines; may be set later, such as once a worker is ready
+     * @param {Interpreter} [parser] - used to tell whether a line
+     *   is complete, when `interpreter` can't parse, as for a
+     *   `RemoteInterpreter`
+     */
+    constructor(interpreter=null, parser=interpreter) {
+        this.interpreter = interpreter;
+        this.parser = parser;
+
+        // Transcript, as {kind, text} with kind 'input', 'output',
+        // 'value' or 'error'
+        this.lines = [];
+
+        // Lines entered, oldest first, and the position while
+        // going through them; history.length is the draft
+        this.history = [];
+        this.historyIndex = 0;
+        this.draft = '';
+
+        // Lines of an unfinished instruction or definition
+        this.pending = [];
+        // Resolve functions of readword and readlist calls waiting
+        // for a line, first come first served
+        this.readers = [];
+
+        // Called whenever the transcript or prompt changes
+        this.onchange = null;
+    }
+
+    /**
+     * The prompt for the next line: '? ', '> ' while continuing
+     * an unfinished entry, or none while `read` waits.
+     *
+     * @returns {string}
+     */
+    get prompt() {
+        if (this.readers.length) {
+            return '';
+        }
+        return this.pending.length ? '> ' : '? ';
+    }
+
+    /**
+     * Add text to the transcript, a line at a time.
+     *
+     * @param {string} text
+     * @param {string} [kind] - 'input', 'output', 'value' or 'error'
+     */
+    write(text, kind='output') {
+        for (let line of String(text).split('\n')) {
+            this.lines.push({kind: kind, text: line});
+        }
+        this.changed();
+    }
+
+    /**
+     * Clear the transcript.
+     */
+    clear() {
+        this.lines = [];
+        this.changed();
+    }
+
+    /**
+     * Whether source code is a whole entry: no open list, array
+     * or trailing backslash, and no definition waiting for `end`.
+     *
+     * @param {string} source
+     * @returns {boolean}
+     */
+    isComplete(source) {
+        let parsed;
+        try {
+            parsed = this.parser.parse(source);
+        } catch (e) {
+            // Other errors are reported when the entry runs
+            return !(e instanceof LogoError && incompleteCodes.includes(e.code));
+        }
+        let defining = false;
+        for (let iter = parsed; !iter.isEmpty(); iter = iter.tail) {
+            if (!defining) {
+                defining = this.parser.isDefinition(iter.head);
+            } else if (this.parser.isKeyword(iter.head, 'end')) {
+                defining = false;
+            }
+        }
+        return !defining;
+    }
+
+    /**
+     * Take a line typed by the user: answer a waiting `read`, or
+     * run it once the entry is complete.
+     *
+     * @param {string} line
+     * @returns {Promise} resolving when any code run is done
+     */
+    enter(line) {
+        if (this.readers.length) {
+            let resolve = this.readers.shift();
+            this.write(line, 'input');
+            resolve(line);
+            return Promise.resolve();
+        }
+
+        this.write(this.prompt + line, 'input');
+        if (line.trim() !== '') {
+            this.history.push(line);
+        }
+        this.historyIndex = this.history.length;
+        this.draft = '';
+
+        this.pending.push(line);
+        let source = this.pending.join('\n');
+        if (this.parser && !this.isComplete(source)) {
+            this.changed();
+            return Promise.resolve();
+        }
+        this.pending = [];
+        this.changed();
+        return this.run(source);
+    }
+
+    /**
+     * Run a complete entry, echoing its output if any.
+     *
+     * @param {string} source
+     * @returns {Promise}
+     */
+    async run(source) {
+        if (!this.interpreter) {
+            this.write('Logo is not ready yet', 'error');
+            return;
+        }
+        let formatNumber = this.parser ? this.parser.dialect.formatNumber : undefined;
+        try {
+            await this.interpreter.execute(source, {
+                onvalue: (value) => {
+                    this.write(List.stringify(value, ['[', ']'], [], formatNumber), 'value');
+                },
+            });
+        } catch (e) {
+            this.write(String(e), 'error');
+        }
+    }
+
+    /**
+     * Wait for the next line typed, for `Interpreter#onread`,
+     * after any reads already waiting.
+     *
+     * @returns {Promise<string>} with a `cancel` method to stop
+     *   waiting, after which it never settles
+     */
+    read() {
+        let reader;
+        let promise = new Promise((resolve) => {
+            reader = resolve;
+        });
+        this.readers.push(reader);
+        promise.cancel = () => {
+            let index = this.readers.indexOf(reader);
+            if (index !== -1) {
+                this.readers.splice(index, 1);
+                this.changed();
+            }
+        };
+        this.changed();
+        return promise;
+    }
+
+    /**
+     * Go back in the history, keeping the line being typed
+     * to come back to.
+     *
+     * @param {string} current - the line being typed
+     * @returns {string} the line to show
+     */
+    previous(current) {
+        if (this.historyIndex === this.history.length) {
+            this.draft = current;
+        }
+        if (this.historyIndex === 0) {
+            return this.historyIndex < this.history.length
+                ? this.history[this.historyIndex] : current;
+        }
+        this.historyIndex--;
+        return this.history[this.historyIndex];
+    }
+
+    /**
+     * Go forward in the history, ending at the line that was
+     * being typed.
+     *
+     * @returns {string} the line to show
+     */
+    next() {
+        if (this.historyIndex < this.history.length) {
+            this.historyIndex++;
+        }
+        if (this.historyIndex === this.history.length) {
+            return this.draft;
+        }
+        return this.history[this.historyIndex];
+    }
+
+    changed() {
+        if (this.onchange) {
+            this.onchange();
+        }
+    }
+}
@@ -0,0 +1,110 @@
+import { LogoConsole } from './console';
+import { Interpreter } from './logo';
+
+function createConsole() {
+  const logo = new Interpreter();
+  const logoConsole = new LogoConsole(logo);
+  logo.onprint = (text) => logoConsole.write(text);
+  logo.onread = () => logoConsole.read();
+  return logoConsole;
+}
+
+function transcript(logoConsole) {
+  return logoConsole.lines.map((line) => line.kind + ' ' + line.text);
+}
+
+describe('LogoConsole', () => {
+  it('should keep procedures and variables between lines', async () => {
+    const logoConsole = createConsole();
+    await logoConsole.enter('make "n 3');
+    await logoConsole.enter('to twice :x');
+    expect(logoConsole.prompt).toBe('> ');
+    await logoConsole.enter('  output :x * 2');
+    await logoConsole.enter('end');
+    expect(logoConsole.prompt).toBe('? ');
+    await logoConsole.enter('print twice :n');
+    expect(transcript(logoConsole)).toEqual([
+      'input ? make "n 3',
+      'input ? to twice :x',
+      'input >   output :x * 2',
+      'input > end',
+      'input ? print twice :n',
+      'output 6',
+    ]);
+  });
+
+  it('should continue unterminated lists', async () => {
+    const logoConsole = createConsole();
+    await logoConsole.enter('repeat 2 [');
+    expect(logoConsole.prompt).toBe('> ');
+    await logoConsole.enter('print repcount]');
+    expect(transcript(logoConsole).slice(2)).toEqual(['output 1', 'output 2']);
+  });
+
+  it('should echo outputs and errors', async () => {
+    const logoConsole = createConsole();
+    await logoConsole.enter('list 1 [2 3]');
+    await logoConsole.enter('print first []');
+    expect(logoConsole.lines[1]).toEqual({ kind: 'value', text: '[1 [2 3]]' });
+    expect(logoConsole.lines[3].kind).toBe('error');
+  });
+
+  it('should answer readlist with the next line', async () => {
+    const logoConsole = createConsole();
+    const done = logoConsole.enter('show readlist');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(logoConsole.prompt).toBe('');
+    await logoConsole.enter('hello [big] world');
+    await done;
+    expect(transcript(logoConsole)).toEqual([
+      'input ? show readlist',
+      'input hello [big] world',
+      'output [hello [big] world]',
+    ]);
+    expect(logoConsole.history).toEqual(['show readlist']);
+  });
+
+  it('should stop reading when the program is broken off', async () => {
+    const logoConsole = createConsole();
+    const done = logoConsole.enter('print readword');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    logoConsole.interpreter.break();
+    await done;
+    expect(logoConsole.prompt).toBe('? ');
+    await logoConsole.enter('print 5');
+    expect(transcript(logoConsole).slice(-2)).toEqual([
+      'input ? print 5',
+      'output 5',
+    ]);
+  });
+
+  it('should answer reads in turn', async () => {
+    const logoConsole = new LogoConsole();
+    const first = logoConsole.read();
+    const second = logoConsole.read();
+    logoConsole.enter('a');
+    logoConsole.enter('b');
+    expect([await first, await second]).toEqual(['a', 'b']);
+  });
+
+  it('should go through the history', async () => {
+    const logoConsole = createConsole();
+    await logoConsole.enter('print 1');
+    await logoConsole.enter('print 2');
+    expect(logoConsole.previous('pri')).toBe('print 2');
+    expect(logoConsole.previous('print 2')).toBe('print 1');
+    expect(logoConsole.previous('print 1')).toBe('print 1');
+    expect(logoConsole.next()).toBe('print 2');
+    expect(logoConsole.next()).toBe('pri');
+    expect(logoConsole.next()).toBe('pri');
+  });
+
+  it('should report lines entered before the interpreter is ready', async () => {
+    const logoConsole = new LogoConsole(null, new Interpreter());
+    await logoConsole.enter('print 1');
+    expect(logoConsole.lines[1]).toEqual({
+      kind: 'error',
+      text: 'Logo is not ready yet',
+    });
+  });
+});
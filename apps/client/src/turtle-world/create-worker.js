@@ -0,0 +1,11 @@
+/**
+ * Kept apart so that only bundlers, which understand
+ * `import.meta`, ever load it.
+ *
+ * @file create-worker.js
+ * @license ISC
+ */
+
+export function createLogoWorker() {
+    return new Worker(new URL('./logo.worker.js', import.meta.url));
+}
@@ -0,0 +1,201 @@
+/**
+ * Translations of Logo for classrooms working in other languages:
+ * localized procedure names and keywords, and error messages.
+ *
+ * Pass one as the `locale` option of `Interpreter` (or of
+ * `RemoteInterpreter.create`, by name). The English names keep
+ * working alongside the localized ones.
+ *
+ * @file locales.js
+ * @license ISC
+ */
+
+import {ErrorCodes} from './logo.js';
+
+/**
+ * Locales by language code, each with:
+ *
+ * - `procedures`: localized names for procedures, as a map of
+ *   English names to lists of names; the turtle commands from
+ *   turtle.js are included. Builtin names and aliases such as
+ *   `bl` win over these, so they must not be reused.
+ * - `keywords`: localized words for `to`, `end` and `else`
+ * - `messages`: error messages by `ErrorCodes` value, in which
+ *   `{token}` stands for the offending word, if known
+ */
+export const locales = {
+    en: {
+        name: 'en',
+        procedures: {},
+        keywords: {},
+        messages: {},
+    },
+    fr: {
+        name: 'fr',
+        procedures: {
+            forward: ['avance', 'av'],
+            back: ['recule', 're'],
+            right: ['tournedroite', 'td'],
+            left: ['tournegauche', 'tg'],
+            up: ['levecrayon', 'lc'],
+            down: ['baissecrayon', 'bc'],
+            cs: ['videécran', 've'],
+            seth: ['fixecap', 'fcap'],
+            setpos: ['fixepos'],
+            color: ['fixecouleur', 'fcc'],
+            repeat: ['répète'],
+            forever: ['toujours'],
+            repcount: ['compteur'],
+            if: ['si'],
+            ifelse: ['sisinon'],
+            while: ['tantque'],
+            stop: ['stop'],
+            output: ['retourne'],
+            print: ['écris', 'ec'],
+            show: ['montre'],
+            make: ['donne'],
+            local: ['locale'],
+            thing: ['chose'],
+            random: ['hasard'],
+            wait: ['attends'],
+            sum: ['somme'],
+            difference: ['différence'],
+            product: ['produit'],
+            first: ['premier'],
+            last: ['dernier'],
+            butfirst: ['saufpremier', 'sp'],
+            butlast: ['saufdernier', 'sd'],
+            item: ['élément'],
+            count: ['compte'],
+            list: ['liste'],
+            word: ['mot'],
+            se: ['phrase', 'ph'],
+        },
+        keywords: {
+            to: 'pour',
+            end: 'fin',
+            else: 'sinon',
+        },
+        messages: {
+            [ErrorCodes.UNTERMINATED_LIST]: 'Il manque un ] pour fermer la liste',
+            [ErrorCodes.UNEXPECTED_BRACKET]: 'Il y a un ] de trop',
+            [ErrorCodes.UNTERMINATED_ARRAY]: 'Il manque un } pour fermer le tableau',
+            [ErrorCodes.UNEXPECTED_BRACE]: 'Il y a un } de trop',
+            [ErrorCodes.UNEXPECTED_PAREN]: 'Il y a une ) de trop',
+            [ErrorCodes.UNBOUND_FUNCTION]: 'Je ne connais pas {token}',
+            [ErrorCodes.NOT_ENOUGH_INPUTS]: 'Il manque des entrées à {token}',
+            [ErrorCodes.TOO_MANY_INPUTS]: 'Trop d\'entrées pour {token}',
+            [ErrorCodes.NO_OUTPUT]: '{token} ne retourne rien',
+            [ErrorCodes.UNUSED_OUTPUT]: 'Que faire de {token} ?',
+            [ErrorCodes.BAD_DEFINITION]: 'Définition de procédure incorrecte',
+            [ErrorCodes.STOP_AT_TOPLEVEL]: '{token} ne marche que dans une procédure',
+            [ErrorCodes.UNDECLARED_VARIABLE]: '{token} n\'a pas de valeur',
+            [ErrorCodes.BAD_INPUT]: '{token} n\'aime pas son entrée',
+            [ErrorCodes.INSTRUCTION_LIMIT]: 'Trop d\'instructions',
+            [ErrorCodes.TIME_LIMIT]: 'Le programme a duré trop longtemps',
+            [ErrorCodes.DEPTH_LIMIT]: 'Trop d\'appels de procédures imbriqués',
+            [ErrorCodes.LIST_SIZE_LIMIT]: 'Liste trop longue',
+            [ErrorCodes.BREAK]: 'Programme interrompu',
+        },
+    },
+    es: {
+        name: 'es',
+        procedures: {
+            forward: ['avanza', 'av'],
+            back: ['retrocede', 're'],
+            right: ['giraderecha', 'gd'],
+            left: ['giraizquierda', 'gi'],
+            up: ['subelápiz', 'sl'],
+            down: ['bajalápiz', 'bjl'],
+            cs: ['borrapantalla', 'bp'],
+            seth: ['fijarumbo', 'frumbo'],
+            setpos: ['fijapos'],
+            color: ['fijacolor', 'fcl'],
+            repeat: ['repite'],
+            forever: ['siempre'],
+            repcount: ['cuentarepite'],
+            if: ['si'],
+            ifelse: ['sisino'],
+            while: ['mientras'],
+            stop: ['alto'],
+            output: ['devuelve'],
+            print: ['escribe', 'es'],
+            show: ['muestra'],
+            make: ['haz'],
+            local: ['local'],
+            thing: ['cosa'],
+            random: ['azar'],
+            wait: ['espera'],
+            sum: ['suma'],
+            difference: ['diferencia'],
+            product: ['producto'],
+            first: ['primero'],
+            last: ['último'],
+            butfirst: ['menosprimero', 'mp'],
+            butlast: ['menosúltimo', 'mu'],
+            item: ['elemento'],
+            count: ['cuenta'],
+            list: ['lista'],
+            word: ['palabra'],
+            se: ['frase'],
+        },
+        keywords: {
+            to: 'para',
+            end: 'fin',
+            else: 'sino',
+        },
+        messages: {
+            [ErrorCodes.UNTERMINATED_LIST]: 'Falta un ] para cerrar la lista',
+            [ErrorCodes.UNEXPECTED_BRACKET]: 'Sobra un ]',
+            [ErrorCodes.UNTERMINATED_ARRAY]: 'Falta un } para cerrar el arreglo',
+            [ErrorCodes.UNEXPECTED_BRACE]: 'Sobra un }',
+            [ErrorCodes.UNEXPECTED_PAREN]: 'Sobra un )',
+            [ErrorCodes.UNBOUND_FUNCTION]: 'No sé qué es {token}',
+            [ErrorCodes.NOT_ENOUGH_INPUTS]: 'Faltan entradas para {token}',
+            [ErrorCodes.TOO_MANY_INPUTS]: 'Demasiadas entradas para {token}',
+            [ErrorCodes.NO_OUTPUT]: '{token} no devuelve nada',
+            [ErrorCodes.UNUSED_OUTPUT]: '¿Qué hago con {token}?',
+            [ErrorCodes.BAD_DEFINITION]: 'Definición de procedimiento incorrecta',
+            [ErrorCodes.STOP_AT_TOPLEVEL]: '{token} solo funciona dentro de un procedimiento',
+            [ErrorCodes.UNDECLARED_VARIABLE]: '{token} no tiene valor',
+            [ErrorCodes.BAD_INPUT]: 'A {token} no le gusta su entrada',
+            [ErrorCodes.INSTRUCTION_LIMIT]: 'Demasiadas instrucciones',
+            [ErrorCodes.TIME_LIMIT]: 'El programa tardó demasiado',
+            [ErrorCodes.DEPTH_LIMIT]: 'Demasiadas llamadas de procedimientos anidadas',
+            [ErrorCodes.LIST_SIZE_LIMIT]: 'Lista demasiado larga',
+            [ErrorCodes.BREAK]: 'Programa interrumpido',
+        },
+    },
+};
+
+/**
+ * Look up a locale by language code, such as from a `?lang=`
+ * page parameter, falling back to English.
+ *
+ * @param {string} [code] - like 'fr', or 'fr-CA' for French
+ * @returns {object}
+ */
+export function getLocale(code) {
+    let language = String(code || 'en').toLowerCase().split('-')[0];
+    if (Object.prototype.hasOwnProperty.call(locales, language)) {
+        return locales[language];
+    }
+    return locales.en;
+}
+
+/**
+ * Localized names for the given procedures and for the keywords,
+ * such as for highlighting in an editor.
+ *
+ * @param {object} locale
+ * @param {Array<string>} names - English procedure names
+ * @returns {Array<string>}
+ */
+export function localizedNames(locale, names) {
+    let localized = [];
+    for (let name of names) {
+        localized.push(...(locale.procedures[name] || []));
+    }
+    localized.push(...Object.values(locale.keywords));
+    return localized;
+}
@@ -7,12 +7,15 @@
  * @license ISC
  */
 
+import {systemClock} from './clock.js';
+
 
 const reWhitespace = /^[ \t\n\r]$/;
 const reNewline = /^[\n\r]$/;
-const reDelimiters = /^[-+*\/\[\]()<>]$/;
+const reDelimiters = /^[-+*\/\[\]{}()<>]$/;
 const reOperators =  /^[-+*\/<>]$/;
 const reDigit = /^[0-9]$/;
+const reTemplateSlot = /^\?([0-9]+)$/;
 
 const precedence = {
     '*': 10,
@@ -24,6 +27,14 @@ const precedence = {
     '=': 1,
 };
 
+// Logo procedure nesting between forced async calls, which
+// keeps synchronous evaluation from overflowing the JS stack.
+const syncDepth = 100;
+
+// Procedure calls between looking at the clock to see if it's
+// time to yield, as Date.now() is slow next to a fast call.
+const yieldCheckCalls = 100;
+
 function isNumber(val) {
     return typeof val === 'number';
 }
@@ -69,11 +80,306 @@ function isList(val) {
     return val instanceof List;
 }
 
+function isArray(val) {
+    return val instanceof LogoArray;
+}
+
 function isLiteral(val) {
-    return isList(val) || isBoolean(val) || isNumber(val)
+    return isList(val) || isArray(val) || isBoolean(val) || isNumber(val)
         || isQuoted(val) || isVariable(val);
 }
 
+// Evaluation runs synchronously until something returns a
+// Promise; these helpers continue either way.
+
+/**
+ * Call the callback with the value, waiting first if it's
+ * a Promise.
+ */
+function whenReady(val, callback) {
+    if (val instanceof Promise) {
+        return val.then(callback);
+    }
+    return callback(val);
+}
+
+/**
+ * Call `run`, then `cleanup` when it has finished or failed,
+ * waiting first if it returned a Promise. Errors can be
+ * replaced by `mapError` before cleaning up.
+ */
+function whenDone(run, cleanup, mapError=(e) => e) {
+    let retval;
+    try {
+        retval = run();
+    } catch (e) {
+        let err = mapError(e);
+        cleanup();
+        throw err;
+    }
+    if (retval instanceof Promise) {
+        return retval.then((value) => {
+            cleanup();
+            return value;
+        }, (e) => {
+            let err = mapError(e);
+            cleanup();
+            throw err;
+        });
+    }
+    cleanup();
+    return retval;
+}
+
+/**
+ * Call `step` until it returns false, or a Promise of false.
+ */
+function loop(step) {
+    for (;;) {
+        let more = step();
+        if (more instanceof Promise) {
+            // Carry on in an async loop, rather than chaining
+            // promises that would pile up in a long loop.
+            return loopAsync(more, step);
+        }
+        if (!more) {
+            return undefined;
+        }
+    }
+}
+
+async function loopAsync(more, step) {
+    while (await more) {
+        more = step();
+    }
+}
+
+/**
+ * Machine-readable error codes used in `LogoError#code`.
+ */
+export const ErrorCodes = Object.freeze({
+    // Parser errors
+    END_OF_INPUT: 'end-of-input',
+    UNTERMINATED_LIST: 'unterminated-list',
+    UNEXPECTED_BRACKET: 'unexpected-bracket',
+    UNTERMINATED_ARRAY: 'unterminated-array',
+    UNEXPECTED_BRACE: 'unexpected-brace',
+    EXPECTED_ORIGIN: 'expected-origin',
+    EXPECTED_DECIMALS: 'expected-decimals',
+    TRAILING_BACKSLASH: 'trailing-backslash',
+
+    // Evaluation errors
+    UNEXPECTED_PAREN: 'unexpected-paren',
+    UNEXPECTED_TOKEN: 'unexpected-token',
+    INVALID_COMMAND: 'invalid-command',
+    UNBOUND_FUNCTION: 'unbound-function',
+    NOT_ENOUGH_INPUTS: 'not-enough-inputs',
+    TOO_MANY_INPUTS: 'too-many-inputs',
+    NO_OUTPUT: 'no-output',
+    UNUSED_OUTPUT: 'unused-output',
+    BAD_DEFINITION: 'bad-definition',
+    STOP_AT_TOPLEVEL: 'stop-at-toplevel',
+    UNREACHABLE_CODE: 'unreachable-code',
+
+    // Resource limits, see `Interpreter#limits`
+    INSTRUCTION_LIMIT: 'instruction-limit',
+    TIME_LIMIT: 'time-limit',
+    DEPTH_LIMIT: 'depth-limit',
+    LIST_SIZE_LIMIT: 'list-size-limit',
+
+    // Errors raised by builtins and the runtime
+    UNDECLARED_VARIABLE: 'undeclared-variable',
+    BAD_INPUT: 'bad-input',
+    SYNTAX: 'syntax',
+    BREAK: 'break',
+    RUNTIME: 'runtime',
+
+    // A `throw` with no matching `catch`, see `LogoThrow`
+    THROW: 'throw',
+});
+
+// Errors that `catch "error` lets through: break requests and
+// resource limits have to end the run, and throws are only
+// caught by their own tag.
+const uncatchableErrors = new Set([
+    ErrorCodes.BREAK,
+    ErrorCodes.INSTRUCTION_LIMIT,
+    ErrorCodes.TIME_LIMIT,
+    ErrorCodes.DEPTH_LIMIT,
+    ErrorCodes.LIST_SIZE_LIMIT,
+    ErrorCodes.THROW,
+]);
+
+/**
+ * Resolve a string offset to a 1-based line and column,
+ * as used by Monaco and most other editors.
+ *
+ * @param {string} source
+ * @param {number} offset
+ * @returns {{line: number, column: number}}
+ */
+export function resolvePosition(source, offset) {
+    let line = 1;
+    let lineStart = 0;
+    for (let i = 0; i < offset && i < source.length; i++) {
+        let char = source[i];
+        if (char === '\r' && source[i + 1] === '\n') {
+            // Count CRLF once, on the LF.
+            continue;
+        }
+        if (char.match(reNewline)) {
+            line++;
+            lineStart = i + 1;
+        }
+    }
+    return {
+        line: line,
+        column: offset - lineStart + 1,
+    };
+}
+
+/**
+ * Error raised by the parser or interpreter.
+ *
+ * Carries an error code and, when the offending code came
+ * from parsed source, its range resolved to lines and columns
+ * so editors can underline it.
+ */
+export class LogoError extends Error {
+    /**
+     * @param {string} code - one of `ErrorCodes`
+     * @param {string} message - human-readable description
+     * @param {object} [location] - source map record with `source`, `start` and `end`
+     * @param {LogoValue} [token] - the offending token, if any
+     * @param {Error} [cause] - underlying JS error, if any
+     */
+    constructor(code, message, location=undefined, token=undefined, cause=undefined) {
+        super(message);
+        this.name = 'LogoError';
+        this.code = code;
+        this.token = token;
+        this.cause = cause;
+
+        // Logo procedure frames active when the error was thrown,
+        // innermost first; see Interpreter#callStack.
+        this.callStack = undefined;
+
+        this.source = undefined;
+        this.start = undefined;
+        this.end = undefined;
+        this.line = undefined;
+        this.column = undefined;
+        this.endLine = undefined;
+        this.endColumn = undefined;
+        if (location) {
+            this.setLocation(location);
+        }
+    }
+
+    /**
+     * Whether a source range is known for this error.
+     * @returns {boolean}
+     */
+    hasLocation() {
+        return this.source !== undefined;
+    }
+
+    /**
+     * Attach a source range, resolving its lines and columns.
+     *
+     * @param {object} location - source map record with `source`, `start` and `end`
+     */
+    setLocation(location) {
+        let {source, start, end} = location;
+        let from = resolvePosition(source, start);
+        let to = resolvePosition(source, end);
+        this.source = source;
+        this.start = start;
+        this.end = end;
+        this.line = from.line;
+        this.column = from.column;
+        this.endLine = to.line;
+        this.endColumn = to.column;
+    }
+
+    /**
+     * Describe the Logo call stack, one line per procedure, eg:
+     *
+     * ```
+     * in square called from spiral at line 12
+     * in spiral called at line 20
+     * ```
+     *
+     * @returns {Array<string>}
+     */
+    trace() {
+        let frames = this.callStack || [];
+        return frames.map((frame, i) => {
+            let str = 'in ' + frame.name;
+            let caller = frames[i + 1];
+            if (caller) {
+                str += ' called from ' + caller.name;
+            } else {
+                str += ' called';
+            }
+            if (frame.location) {
+                let {line} = resolvePosition(frame.location.source, frame.location.start);
+                str += ' at line ' + line;
+            }
+            return str;
+        });
+    }
+
+    toString() {
+        let str = this.name + ': ' + this.message;
+        if (this.hasLocation()) {
+            str += ' at line ' + this.line + ', column ' + this.column;
+        }
+        for (let line of this.trace()) {
+            str += '\n  ' + line;
+        }
+        return str;
+    }
+
+    /**
+     * Pick an error code for a plain JS error thrown
+     * from a builtin procedure.
+     *
+     * @param {Error} err
+     * @returns {string}
+     */
+    static codeFor(err) {
+        if (err instanceof TypeError) {
+            return ErrorCodes.BAD_INPUT;
+        }
+        if (err instanceof ReferenceError) {
+            return ErrorCodes.UNDECLARED_VARIABLE;
+        }
+        if (err instanceof SyntaxError) {
+            return ErrorCodes.SYNTAX;
+        }
+        return ErrorCodes.RUNTIME;
+    }
+}
+
+/**
+ * Non-local exit thrown by the Logo `throw` command, unwinding
+ * to the `catch` with the same tag. If there is none it ends the
+ * run like any other error, except that `throw "toplevel` just
+ * ends it quietly.
+ */
+export class LogoThrow extends LogoError {
+    /**
+     * @param {string} tag
+     * @param {LogoValue} [value] - output of the matching `catch`
+     */
+    constructor(tag, value=undefined) {
+        super(ErrorCodes.THROW, 'Can\'t find catch tag for ' + tag);
+        this.name = 'LogoThrow';
+        this.tag = tag;
+        this.value = value;
+    }
+}
 
 
 /**
@@ -343,7 +649,16 @@ export class List {
         return List.from(this);
     }
 
-    static stringify(val, delimiters = ['[', ']'], stack=[]) {
+    /**
+     * Write a value as Logo would print it.
+     *
+     * @param {LogoValue} val
+     * @param {Array<string>} [delimiters] - around the outermost list
+     * @param {Array} [stack] - lists being written, for recursion checks
+     * @param {function} [formatNumber] - writes numbers
+     * @returns {string}
+     */
+    static stringify(val, delimiters = ['[', ']'], stack=[], formatNumber=String) {
         if (isList(val)) {
             // Avoid recursive list references
             if (stack.includes(val)) {
@@ -358,12 +673,30 @@ export class List {
                 } else {
                     str += ' ';
                 }
-                str += List.stringify(item, delimiters, stack);
+                str += List.stringify(item, delimiters, stack, formatNumber);
             }
             str += delimiters[1];
             stack.pop();
             return str;
         }
+        if (isArray(val)) {
+            if (stack.includes(val)) {
+                return '<recursive>';
+            }
+            stack.push(val);
+            let items = val.items.map((item) => {
+                return List.stringify(item, ['[', ']'], stack, formatNumber);
+            });
+            stack.pop();
+            let str = '{' + items.join(' ') + '}';
+            if (val.origin !== 1) {
+                str += '@' + val.origin;
+            }
+            return str;
+        }
+        if (isNumber(val)) {
+            return formatNumber(val);
+        }
         return String(val);
     }
 
@@ -374,6 +707,88 @@ export class List {
 
 List.empty = new List();
 
+/**
+ * Mutable fixed-size array, indexed from its origin,
+ * which is 1 unless given otherwise.
+ *
+ * Written in Logo as `{a b c}`, or `{a b c}@0` for origin 0.
+ */
+export class LogoArray {
+    /**
+     * @param {Array<LogoValue>} items - used as-is, not copied
+     * @param {number} [origin=1] - index of the first item
+     */
+    constructor(items, origin=1) {
+        this.items = items;
+        this.origin = origin;
+    }
+
+    /**
+     * Create an array of the given size, filled with empty lists.
+     *
+     * @param {number} size
+     * @param {number} [origin=1]
+     * @returns {LogoArray}
+     */
+    static ofSize(size, origin=1) {
+        if (!isNumber(size) || size !== (size | 0) || size < 0) {
+            throw new TypeError('array size must be a non-negative integer');
+        }
+        if (!isNumber(origin) || origin !== (origin | 0)) {
+            throw new TypeError('array origin must be an integer');
+        }
+        return new LogoArray(new Array(size).fill(List.empty), origin);
+    }
+
+    count() {
+        return this.items.length;
+    }
+
+    indexOf(index) {
+        if (!isNumber(index) || index !== (index | 0)) {
+            throw new TypeError('index must be an integer');
+        }
+        let offset = index - this.origin;
+        if (offset < 0 || offset >= this.items.length) {
+            throw new TypeError('index ' + index + ' is out of range');
+        }
+        return offset;
+    }
+
+    get(index) {
+        return this.items[this.indexOf(index)];
+    }
+
+    set(index, value) {
+        this.items[this.indexOf(index)] = value;
+    }
+
+    /**
+     * Check whether the value is or holds this array, in which
+     * case storing it here would make the array contain itself.
+     *
+     * @param {LogoValue} value
+     * @returns {boolean}
+     */
+    isWithin(value) {
+        if (value === this) {
+            return true;
+        }
+        if (isList(value) || isArray(value)) {
+            for (let item of value) {
+                if (this.isWithin(item)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    [Symbol.iterator]() {
+        return this.items[Symbol.iterator]();
+    }
+}
+
 /**
  * Wrapper for variable bindings.
  */
@@ -405,9 +820,21 @@ export class Binding {
  * ```
  */
 export class Context {
-    constructor() {
+    /**
+     * @param {string} [name] - name of the procedure being run, if any
+     * @param {Array<LogoValue>} [args] - input values to the procedure
+     * @param {List} [node] - list record of the call site
+     */
+    constructor(name=undefined, args=[], node=undefined) {
         this.output = undefined;
         this.stop = false;
+        // Result of the last `test`, for `iftrue` and `iffalse`
+        this.test = undefined;
+
+        // Call stack info for tracebacks
+        this.name = name;
+        this.args = args;
+        this.node = node;
     }
 }
 
@@ -416,12 +843,29 @@ export class Scope {
      * Create a new variable scope with the given parent.
      *
      * @param {Scope} ?parent
+     * @param {object} [options]
+     * @param {function} [options.fold] - maps names to the keys they're
+     *   bound under, such as lowercasing them; inherited from the parent
+     * @param {object} [options.aliases] - other names to look up
+     *   bindings by, as a map of aliases to names
      */
-    constructor(parent) {
+    constructor(parent, options={}) {
         this.parent = parent;
 
         // Use the prototype chain to aid lookups
         this.bindings = Object.create(parent ? parent.bindings : null);
+
+        this.fold = options.fold || (parent ? parent.fold : null);
+        this.aliases = null;
+        if (options.aliases) {
+            this.aliases = new Map(Object.entries(options.aliases).map(([alias, name]) => {
+                return [this.key(alias), name];
+            }));
+        }
+
+        // Incremented on every change, so compiled code
+        // can tell when procedures have been redefined.
+        this.version = 0;
     }
 
     /**
@@ -441,6 +885,7 @@ export class Scope {
     }
 
     set(name, val) {
+        this.version++;
         let binding = this.getBinding(name);
         if (binding) {
             binding.value = val;
@@ -462,7 +907,22 @@ export class Scope {
      * @returns {Binding|undefined}
      */
     getBinding(name) {
-        return this.bindings[name];
+        let key = this.key(name);
+        let binding = this.bindings[key];
+        if (!binding && this.aliases && this.aliases.has(key)) {
+            binding = this.bindings[this.key(this.aliases.get(key))];
+        }
+        return binding;
+    }
+
+    /**
+     * Key a name is bound under, see the `fold` option.
+     *
+     * @param {string} name
+     * @returns {string}
+     */
+    key(name) {
+        return this.fold ? this.fold(name) : name;
     }
 
     /**
@@ -474,7 +934,8 @@ export class Scope {
      * @param {Binding} binding
      */
     bind(name, binding) {
-        this.bindings[name] = binding;
+        this.version++;
+        this.bindings[this.key(name)] = binding;
     }
 
     /**
@@ -500,11 +961,36 @@ export class Scope {
             this.bindValue(item, map[item]);
         }
     }
+
+    /**
+     * Remove a binding from the current scope, uncovering any
+     * parent scope binding of the same name.
+     *
+     * @param {string} name
+     */
+    unbind(name) {
+        this.version++;
+        delete this.bindings[this.key(name)];
+    }
+
+    /**
+     * Get the values of variables bound directly in this scope,
+     * not including parent scopes.
+     *
+     * @returns {object} map of variable names to values
+     */
+    variables() {
+        let map = {};
+        for (let name of Object.keys(this.bindings)) {
+            map[name] = this.bindings[name].value;
+        }
+        return map;
+    }
 }
 
 // Helpers for builtins
 
-async function doMap(data, template, rest, callback) {
+function doMap(data, template, rest, callback) {
     let sources = [data];
     while (rest.length) {
         sources.push(template);
@@ -513,7 +999,7 @@ async function doMap(data, template, rest, callback) {
     let iters = sources.map((source) => {
         return source[Symbol.iterator]()
     });
-    for (;;) {
+    return loop(() => {
         let allDone = true;
         let anyDone = false;
         let args = iters.map((iter) => {
@@ -523,66 +1009,580 @@ async function doMap(data, template, rest, callback) {
             return value;
         });
         if (anyDone) {
-            break;
-        }
-        let val = await this.runTemplate(template, args);
-        if (callback) {
-            callback(val);
+            return false;
         }
+        return whenReady(this.runTemplate(template, args), (val) => {
+            if (callback) {
+                callback(val);
+            }
+            return true;
+        });
+    });
+}
+
+/**
+ * Call `step` with each item in turn until it returns false,
+ * waiting for it whenever it returns a Promise.
+ */
+function eachItem(items, step) {
+    let i = 0;
+    return loop(() => i < items.length && step(items[i++]));
+}
+
+// Inputs of the innermost running question-mark template
+function currentTemplateInputs(procedure) {
+    let stack = this.templateInputs;
+    if (!stack.length) {
+        throw new Error(procedure + ' can only be used in a template');
     }
+    return stack[stack.length - 1];
 }
 
-function unaryMinus(a) {
-    return -a;
+// Members of the list, array or word taken by the higher-order
+// procedures like filter and sort
+function members(data, procedure) {
+    if (isList(data) || isArray(data)) {
+        return Array.from(data);
+    }
+    if (isWord(data)) {
+        return characters(data);
+    }
+    throw badInput(procedure, data);
 }
 
-// Builtin procedures
-let builtins = {
-    // Logical operations
-    true: async function() {
-        return true;
-    },
-    false: async function() {
-        return false;
-    },
-    and: async function(a, b, ...rest) {
-        // UCBLogo extends this to support instruction
-        // lists with lazy evaluation. Consider this.
-        if (!a) {
-            return false;
-        }
-        if (!b) {
-            return false;
+// Put members back together as a word if they came from one,
+// or as a list
+function membersLike(data, items) {
+    if (isWord(data)) {
+        return items.join('');
+    }
+    return List.from(items);
+}
+
+// Default order for sort: numbers by value, then words
+// alphabetically like beforep
+function defaultBefore(a, b) {
+    if (isNumber(a) && isNumber(b)) {
+        return a < b;
+    }
+    if (isNumber(a) !== isNumber(b)) {
+        return isNumber(a);
+    }
+    return List.stringify(a) < List.stringify(b);
+}
+
+/**
+ * Read a UCBLogo contents list, as taken by `po` and `erase`:
+ * a procedure name, a list of procedure names, or a list of
+ * lists of procedure names, variable names and property
+ * list names.
+ *
+ * @param {LogoValue} arg
+ * @returns {{procedures: Array<string>, names: Array<string>,
+ *   plists: Array<LogoValue>}}
+ */
+function contentsList(arg) {
+    if (isWord(arg)) {
+        return {procedures: [String(arg)], names: [], plists: []};
+    }
+    if (!isList(arg)) {
+        throw new TypeError('contents must be a word or list');
+    }
+    if (!arg.isEmpty() && isList(arg.head)) {
+        let [procedures=List.empty, names=List.empty, plists=List.empty] = arg;
+        if (!isList(procedures) || !isList(names) || !isList(plists)) {
+            throw new TypeError('contents must be lists of names');
         }
-        for (let item of rest) {
-            if (!item) {
-                return false;
+        return {
+            procedures: Array.from(procedures),
+            names: Array.from(names),
+            plists: Array.from(plists),
+        };
+    }
+    return {procedures: Array.from(arg), names: [], plists: []};
+}
+
+/**
+ * Read the inputs of a user-defined procedure, in the form of
+ * the first list of UCBLogo procedure text: names of required
+ * inputs, then `[name default...]` lists for optional inputs
+ * with instructions giving their default values, maybe a `[name]`
+ * list taking the rest of the inputs as a list, and maybe a
+ * number of inputs to take when called without parentheses.
+ *
+ * @param {Array<LogoValue>} inputs
+ * @returns {{required: Array<string>, optional: Array<{name: string,
+ *   value: List}>, rest: string|undefined, arity: number}}
+ * @throws {TypeError} if the inputs are out of order or malformed
+ */
+export function parseInputs(inputs) {
+    let spec = {
+        required: [],
+        optional: [],
+        rest: undefined,
+        arity: undefined,
+    };
+    for (let [index, input] of inputs.entries()) {
+        if (isString(input)) {
+            if (spec.optional.length || spec.rest !== undefined) {
+                throw new TypeError('required input ' + input + ' must come before optional inputs');
             }
+            spec.required.push(input);
+        } else if (isList(input) && isString(input.head)) {
+            if (spec.rest !== undefined) {
+                throw new TypeError('rest input ' + spec.rest + ' must come last');
+            }
+            if (input.tail.isEmpty()) {
+                spec.rest = input.head;
+            } else {
+                spec.optional.push({name: input.head, value: input.tail});
+            }
+        } else if (isNumber(input) && index === inputs.length - 1) {
+            spec.arity = input;
+        } else {
+            throw new TypeError('bad procedure input ' + List.stringify(input));
         }
-        return true;
-    },
-    or: async function(a, b, ...rest) {
-        // UCBLogo extends this to support instruction
-        // lists with lazy evaluation. Consider this.
-        if (a) {
-            return true;
-        }
-        if (b) {
+    }
+    let most = spec.rest === undefined ? spec.required.length + spec.optional.length : Infinity;
+    if (spec.arity === undefined) {
+        spec.arity = spec.required.length;
+    } else if (spec.arity < spec.required.length || spec.arity > most
+            || spec.arity !== Math.trunc(spec.arity)) {
+        throw new TypeError('bad default number of inputs ' + spec.arity);
+    }
+    return spec;
+}
+
+/**
+ * Bind the inputs to a user-defined procedure in its new scope,
+ * running the instructions for any missing optional inputs'
+ * default values there too. Call with the interpreter as `this`.
+ */
+function bindInputs(scope, spec, args) {
+    for (let [index, name] of spec.required.entries()) {
+        scope.bindValue(name, args[index]);
+    }
+    let index = spec.required.length;
+    let done = eachItem(spec.optional, ({name, value}) => {
+        let given = index++;
+        if (given < args.length) {
+            scope.bindValue(name, args[given]);
             return true;
         }
-        for (let item of rest) {
-            if (item) {
-                return true;
+        // Defaults may use the inputs before them
+        return whenReady(this.evaluate(value), (val) => {
+            if (val === undefined) {
+                throw new LogoError(ErrorCodes.NO_OUTPUT,
+                    'Expected output from default value of ' + name);
             }
+            scope.bindValue(name, val);
+            return true;
+        });
+    });
+    return whenReady(done, () => {
+        if (spec.rest !== undefined) {
+            scope.bindValue(spec.rest, List.from(args.slice(index)));
         }
-        return false;
-    },
-    not: async function(a) {
-        return !a;
-    },
-
+    });
+}
+
+// Input names may be given with a colon, as on a "to" line
+function inputName(name) {
+    return name[0] === ':' ? name.substr(1) : name;
+}
+
+/**
+ * Throw if a name is bound to a primitive, which `define`,
+ * `.defmacro` and `copydef` may not replace, just as `erase`
+ * may not remove it. Call with the interpreter as `this`.
+ *
+ * @param {string} name
+ */
+function refusePrimitive(name) {
+    let binding = this.procedureScope.getBinding(name);
+    if (binding && !this.definitions.has(binding.value)) {
+        throw new TypeError(name + ' is a primitive');
+    }
+}
+
+/**
+ * Define a procedure or macro from UCBLogo procedure text, as
+ * for `define` and `.defmacro`. Call with the interpreter as `this`.
+ */
+function defineText(name, text, macro) {
+    if (!isString(name)) {
+        throw new TypeError('procedure name must be a word');
+    }
+    refusePrimitive.call(this, name);
+    if (!isList(text) || text.isEmpty() || !isList(text.head)) {
+        throw new TypeError('text must be a list of inputs and lines');
+    }
+    let inputs = Array.from(text.head, (input) => {
+        if (isString(input)) {
+            return inputName(input);
+        }
+        if (isList(input) && isString(input.head)) {
+            return new List(inputName(input.head), input.tail);
+        }
+        return input;
+    });
+    let lines = Array.from(text.tail);
+    let body = new ListBuilder();
+    for (let line of lines) {
+        if (!isList(line)) {
+            throw new TypeError('procedure lines must be lists');
+        }
+        for (let cursor = line; !cursor.isEmpty(); cursor = cursor.tail) {
+            body.push(cursor.head);
+            let map = this.sourceForNode(cursor);
+            if (map) {
+                this.sourceMap.set(body.end, map);
+            }
+        }
+    }
+    this.defineProcedure(name, inputs, body.list, {lines, macro});
+}
+
+/**
+ * Fewest and most inputs a procedure takes in parentheses.
+ * Primitives take at least as many as without parentheses,
+ * and any extras are up to them.
+ *
+ * @param {function} func
+ * @returns {{min: number, max: number}}
+ */
+export function inputRange(func) {
+    return {
+        min: func.minInputs === undefined ? func.length : func.minInputs,
+        max: func.maxInputs === undefined ? Infinity : func.maxInputs,
+    };
+}
+
+// Version of the document written by Interpreter#saveWorkspace()
+const workspaceVersion = 2;
+
+// Convert a Logo value to plain JSON data, with lists as
+// arrays and Logo arrays as objects
+function encodeValue(value) {
+    if (isList(value)) {
+        return Array.from(value, encodeValue);
+    }
+    if (isArray(value)) {
+        return {
+            array: value.items.map(encodeValue),
+            origin: value.origin,
+        };
+    }
+    if (isWord(value)) {
+        return value;
+    }
+    throw new TypeError('Cannot save value ' + String(value));
+}
+
+function decodeValue(data) {
+    if (Array.isArray(data)) {
+        return List.from(data.map(decodeValue));
+    }
+    if (data && Array.isArray(data.array) && isNumber(data.origin)) {
+        return new LogoArray(data.array.map(decodeValue), data.origin);
+    }
+    if (isWord(data)) {
+        return data;
+    }
+    throw new TypeError('Invalid saved value ' + JSON.stringify(data));
+}
+
+// Logo source for a value, quoting words that need it
+function quote(value) {
+    if (isList(value) || isArray(value)) {
+        return List.stringify(value);
+    }
+    if (isString(value) || isBoolean(value)) {
+        return '"' + value;
+    }
+    return String(value);
+}
+
+// Instruction to recreate a variable, as shown by po and pons
+function makeInstruction(name, value) {
+    return 'make "' + name + ' ' + quote(value);
+}
+
+// Key of a property list or property name, words being folded
+// like variable names in case-insensitive dialects
+function propertyKey(name) {
+    return isString(name) ? this.globalScope.key(name) : name;
+}
+
+// Instructions to recreate a property list, as shown by po and popls
+function ppropInstructions(name, plist) {
+    return Array.from(plist, ([prop, value]) => {
+        return ['pprop', quote(name), quote(prop), quote(value)].join(' ');
+    });
+}
+
+const radiansPerDegree = Math.PI / 180;
+
+// Characters of a word, counting characters outside the
+// Basic Multilingual Plane (like emoji) as one each
+function characters(word) {
+    return Array.from(String(word));
+}
+
+function badInput(procedure, value) {
+    return new TypeError(procedure + ' doesn\'t like ' + List.stringify(value) + ' as input');
+}
+
+/**
+ * Read a numeric input, accepting words that spell numbers.
+ *
+ * @param {LogoValue} value
+ * @param {string} procedure - name for the error message
+ * @returns {number}
+ * @throws {TypeError} for anything else
+ */
+function toNumber(value, procedure) {
+    if (isNumber(value)) {
+        return value;
+    }
+    if (isString(value) && value.trim() !== '') {
+        let number = Number(value);
+        if (!isNaN(number)) {
+            return number;
+        }
+    }
+    throw badInput(procedure, value);
+}
+
+function toInteger(value, procedure) {
+    let number = toNumber(value, procedure);
+    if (number !== Math.trunc(number)) {
+        throw badInput(procedure, value);
+    }
+    return number;
+}
+
+function toDivisor(value, procedure) {
+    let number = toNumber(value, procedure);
+    if (number === 0) {
+        throw badInput(procedure, value);
+    }
+    return number;
+}
+
+function toBoolean(value, procedure) {
+    if (value === true || value === 'true') {
+        return true;
+    }
+    if (value === false || value === 'false') {
+        return false;
+    }
+    throw badInput(procedure, value);
+}
+
+/**
+ * Test a loop or clause condition, which is either a word or
+ * an instruction list that outputs one. Call with the
+ * interpreter as `this`.
+ *
+ * @returns {boolean|Promise<boolean>}
+ */
+function testCondition(cond, procedure) {
+    if (!isList(cond)) {
+        return toBoolean(cond, procedure);
+    }
+    return whenReady(this.evaluate(cond), (result) => {
+        return toBoolean(result, procedure);
+    });
+}
+
+/**
+ * Run one pass of a loop body, giving whether to go on or
+ * not after a `stop` or `output` inside it. Call with the
+ * interpreter as `this`.
+ *
+ * @returns {boolean|Promise<boolean>}
+ */
+function runBody(block) {
+    if (!isList(block)) {
+        throw new TypeError('block must be a list');
+    }
+    return whenReady(this.evaluate(block), () => {
+        return !this.currentContext().stop;
+    });
+}
+
+/**
+ * Run a `repeat` or `forever` body, keeping count for `repcount`.
+ * Call with the interpreter as `this`.
+ */
+function runCounted(block, times) {
+    let counts = this.repeatCounts;
+    let index = counts.length;
+    counts.push(0);
+    return whenDone(() => loop(() => {
+        if (counts[index] >= times) {
+            return false;
+        }
+        counts[index]++;
+        return runBody.call(this, block);
+    }), () => {
+        counts.pop();
+    });
+}
+
+/**
+ * Wait for a callback, such as from the clock or the user, or
+ * until the task is broken off. Time spent waiting doesn't count
+ * against `maxTime`. Call with the interpreter as `this`.
+ *
+ * @param {function} start - sets up the callback, given functions
+ *   to call with the result or with an error, and returns an id
+ *   for `cancel`
+ * @param {function} cancel - called with the id on break
+ * @returns {Promise} resolving with the result
+ */
+function suspend(start, cancel) {
+    let task = this.task;
+    if (this.onyield) {
+        this.onyield();
+    }
+    let waitedFrom = Date.now();
+    return new Promise((resolve, reject) => {
+        let id;
+        let settled = false;
+        task.onbreak = (reason) => {
+            settled = true;
+            cancel(id);
+            reject(reason);
+        };
+        let settle = (callback, value) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            task.onbreak = null;
+            task.startTime += Date.now() - waitedFrom;
+            this.task = task;
+            callback(value);
+        };
+        id = start((value) => settle(resolve, value), (err) => settle(reject, err));
+    });
+}
+
+/**
+ * Wait for some milliseconds, or until the task is broken off.
+ * Call with the interpreter as `this`.
+ */
+function sleep(ms) {
+    let clock = this.clock;
+    return suspend.call(this, (wake) => clock.setTimeout(wake, ms),
+        (id) => clock.clearTimeout(id));
+}
+
+/**
+ * Read a line typed by the user, see `Interpreter#onread`, unless
+ * the task is broken off first. Call with the interpreter as `this`.
+ */
+function readLine() {
+    if (!this.onread) {
+        throw new Error('No console to read from');
+    }
+    let request;
+    return suspend.call(this, (wake, fail) => {
+        request = this.onread();
+        Promise.resolve(request).then((line) => wake(String(line)), fail);
+    }, () => {
+        if (request && typeof request.cancel === 'function') {
+            request.cancel();
+        }
+    });
+}
+
+/**
+ * Set the handler block for a kind of event, or clear it with
+ * an empty list. Call with the interpreter as `this`.
+ *
+ * @param {string} kind - 'key', 'click' or 'drag'
+ * @param {List} block
+ * @param {string} procedure - for errors
+ */
+function setHandler(kind, block, procedure) {
+    if (!isList(block)) {
+        throw badInput(procedure, block);
+    }
+    this.eventHandlers[kind] = block.isEmpty() ? null : block;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32),
+ * so drawings using random numbers can be reproduced.
+ *
+ * @param {number} seed
+ * @returns {function} giving numbers from 0 up to 1, like Math.random
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function unaryMinus(a) {
+    return -a;
+}
+
+// Builtin procedures
+let builtins = {
+    // Logical operations
+    true: function() {
+        return true;
+    },
+    false: function() {
+        return false;
+    },
+    and: function(a, b, ...rest) {
+        // UCBLogo extends this to support instruction
+        // lists with lazy evaluation. Consider this.
+        if (!a) {
+            return false;
+        }
+        if (!b) {
+            return false;
+        }
+        for (let item of rest) {
+            if (!item) {
+                return false;
+            }
+        }
+        return true;
+    },
+    or: function(a, b, ...rest) {
+        // UCBLogo extends this to support instruction
+        // lists with lazy evaluation. Consider this.
+        if (a) {
+            return true;
+        }
+        if (b) {
+            return true;
+        }
+        for (let item of rest) {
+            if (item) {
+                return true;
+            }
+        }
+        return false;
+    },
+    not: function(a) {
+        return !a;
+    },
+
     // Lists and words
-    word: async function(a, b, ...rest) {
+    word: function(a, b, ...rest) {
         let args = [a, b].concat(rest);
         for (let arg of args) {
             if (!isWord(arg)) {
@@ -591,7 +1591,7 @@ let builtins = {
         }
         return args.join('');
     },
-    se: async function(a, b, ...rest) {
+    se: function(a, b, ...rest) {
         let args = [a, b].concat(rest);
         let builder = new ListBuilder();
         for (let arg of args) {
@@ -605,17 +1605,17 @@ let builtins = {
         }
         return builder.list;
     },
-    list: async function(a, b, ...rest) {
+    list: function(a, b, ...rest) {
         return new List(a, new List(b, List.from(rest)));
     },
-    fput: async function(thing, list) {
+    fput: function(thing, list) {
         if (!isList(list)) {
             throw new TypeError('list must be a list');
         }
         // uses existing list as tail, fast!
         return new List(thing, list);
     },
-    lput: async function(thing, list) {
+    lput: function(thing, list) {
         if (!isList(list)) {
             throw new TypeError('list must be a list');
         }
@@ -625,36 +1625,40 @@ let builtins = {
         builder.push(thing);
         return builder.list;
     },
-    combine: async function(a, b) {
+    combine: function(a, b) {
         if (isString(b)) {
-            return await builtins.word.call(this, a, b);
+            return builtins.word.call(this, a, b);
         }
         if (isList(b)) {
-            return await builtins.fput.call(this, a, b);
+            return builtins.fput.call(this, a, b);
         }
         throw new TypeError('second arg must be string or list');
     },
-    reverse: async function(list) {
+    reverse: function(list) {
         if (isList(list)) {
             return list.reverse();
         }
         throw new TypeError('list must be a list');
     },
-    count: async function(arg) {
-        if (isList(arg)) {
+    count: function(arg) {
+        if (isList(arg) || isArray(arg)) {
             return arg.count();
         }
-        if (isString(arg)) {
-            return arg.length;
+        if (isWord(arg)) {
+            return characters(arg).length;
         }
         throw new TypeError('arg must be a word or list');
     },
-    first: async function(arg) {
-        if (isString(arg)) {
+    first: function(arg) {
+        if (isArray(arg)) {
+            // As in UCBLogo, the index of the first item
+            return arg.origin;
+        }
+        if (isWord(arg)) {
             if (arg === '') {
                 throw new TypeError('empty string');
             }
-            return arg[0];
+            return characters(arg)[0];
         }
         if (isList(arg)) {
             if (arg.isEmpty()) {
@@ -664,12 +1668,13 @@ let builtins = {
         }
         throw new TypeError('must be a string or list');
     },
-    last: async function(arg) {
-        if (isString(arg)) {
+    last: function(arg) {
+        if (isWord(arg)) {
             if (arg === '') {
                 throw new TypeError('empty string');
             }
-            return arg[arg.length - 1];
+            let chars = characters(arg);
+            return chars[chars.length - 1];
         }
         if (isList(arg)) {
             if (arg.isEmpty()) {
@@ -680,12 +1685,12 @@ let builtins = {
         }
         throw new TypeError('must be a string or list');
     },
-    butfirst: async function(arg) {
-        if (isString(arg)) {
+    butfirst: function(arg) {
+        if (isWord(arg)) {
             if (arg === '') {
                 throw new TypeError('empty string');
             }
-            return arg.substr(1);
+            return characters(arg).slice(1).join('');
         }
         if (isList(arg)) {
             if (arg.isEmpty()) {
@@ -697,12 +1702,12 @@ let builtins = {
         }
         throw new TypeError('must be a string or list');
     },
-    butlast: async function(arg) {
-        if (isString(arg)) {
+    butlast: function(arg) {
+        if (isWord(arg)) {
             if (arg === '') {
                 throw new TypeError('empty string');
             }
-            return arg.substr(0, -1);
+            return characters(arg).slice(0, -1).join('');
         }
         if (isList(arg)) {
             if (arg.isEmpty()) {
@@ -715,7 +1720,10 @@ let builtins = {
         }
         throw new TypeError('butlast requires a list or string');
     },
-    item: async function(index, thing) {
+    item: function(index, thing) {
+        if (isArray(thing)) {
+            return thing.get(index);
+        }
         if (!isNumber(index)) {
             throw new TypeError('index must be a number');
         }
@@ -725,11 +1733,12 @@ let builtins = {
         if (index !== (index | 0)) {
             throw new TypeError('index must be an integer');
         }
-        if (isString(thing)) {
-            if (index > thing.length) {
+        if (isWord(thing)) {
+            let chars = characters(thing);
+            if (index < 1 || index > chars.length) {
                 throw new TypeError('index is beyond string length');
             }
-            return thing[index];
+            return chars[index - 1];
         }
         if (isList(thing)) {
             let n = 1;
@@ -743,7 +1752,141 @@ let builtins = {
         }
         throw new TypeError('Expected list');
     },
-    remove: async function(thing, list) {
+    mditem: function(indices, array) {
+        if (!isList(indices) || indices.isEmpty()) {
+            throw new TypeError('indices must be a non-empty list');
+        }
+        let value = array;
+        for (let index of indices) {
+            if (!isArray(value)) {
+                throw new TypeError('too many indices for array');
+            }
+            value = value.get(index);
+        }
+        return value;
+    },
+    // Characters and words
+    char: function(code) {
+        let n = toInteger(code, 'char');
+        if (n < 0 || n > 0x10FFFF) {
+            throw badInput('char', code);
+        }
+        return String.fromCodePoint(n);
+    },
+    ascii: function(char) {
+        let chars = isWord(char) ? characters(char) : [];
+        if (chars.length !== 1) {
+            throw badInput('ascii', char);
+        }
+        return chars[0].codePointAt(0);
+    },
+    uppercase: function(word) {
+        if (!isWord(word)) {
+            throw badInput('uppercase', word);
+        }
+        return String(word).toUpperCase();
+    },
+    lowercase: function(word) {
+        if (!isWord(word)) {
+            throw badInput('lowercase', word);
+        }
+        return String(word).toLowerCase();
+    },
+    member: function(thing, container) {
+        // The rest of the container from the first match on,
+        // or empty if there's none
+        if (isList(container)) {
+            for (let cursor = container; !cursor.isEmpty(); cursor = cursor.tail) {
+                if (List.equal(thing, cursor.head)) {
+                    return cursor;
+                }
+            }
+            return List.empty;
+        }
+        if (isWord(container)) {
+            if (!isWord(thing)) {
+                return '';
+            }
+            let chars = characters(container);
+            let index = chars.indexOf(String(thing));
+            return index === -1 ? '' : chars.slice(index).join('');
+        }
+        throw badInput('member', container);
+    },
+    gensym: function() {
+        this.gensymCount++;
+        return 'g' + this.gensymCount;
+    },
+    form: function(num, width, precision) {
+        let n = toNumber(num, 'form');
+        let digits = toInteger(precision, 'form');
+        if (digits < 0 || digits > 100) {
+            throw badInput('form', precision);
+        }
+        return n.toFixed(digits).padStart(toInteger(width, 'form'));
+    },
+
+    // Arrays
+    array: function(size, origin=1) {
+        return LogoArray.ofSize(size, origin);
+    },
+    mdarray: function(sizes, origin=1) {
+        if (!isList(sizes) || sizes.isEmpty()) {
+            throw new TypeError('sizes must be a non-empty list');
+        }
+        let build = (cursor) => {
+            let array = LogoArray.ofSize(cursor.head, origin);
+            if (cursor.hasTail()) {
+                array.items = array.items.map(() => build(cursor.tail));
+            }
+            return array;
+        };
+        return build(sizes);
+    },
+    setitem: function(index, array, value) {
+        if (!isArray(array)) {
+            throw new TypeError('array must be an array');
+        }
+        if (array.isWithin(value)) {
+            throw new TypeError('an array cannot contain itself');
+        }
+        array.set(index, value);
+    },
+    mdsetitem: function(indices, array, value) {
+        if (!isList(indices) || indices.isEmpty()) {
+            throw new TypeError('indices must be a non-empty list');
+        }
+        if (!isArray(array)) {
+            throw new TypeError('array must be an array');
+        }
+        if (array.isWithin(value)) {
+            throw new TypeError('an array cannot contain itself');
+        }
+        let inner = array;
+        for (let cursor = indices; cursor.hasTail(); cursor = cursor.tail) {
+            inner = inner.get(cursor.head);
+            if (!isArray(inner)) {
+                throw new TypeError('too many indices for array');
+            }
+        }
+        builtins.setitem.call(this, indices.end().head, inner, value);
+    },
+    listtoarray: function(list, origin=1) {
+        if (!isList(list)) {
+            throw new TypeError('list must be a list');
+        }
+        let array = LogoArray.ofSize(0, origin);
+        array.items = Array.from(list);
+        return array;
+    },
+    arraytolist: function(array) {
+        if (!isArray(array)) {
+            throw new TypeError('array must be an array');
+        }
+        return List.from(array.items);
+    },
+
+    remove: function(thing, list) {
         return list.filter((item) => {
             return (thing !== item);
         });
@@ -751,58 +1894,144 @@ let builtins = {
 
     // Output
 
-    print: async function(arg1, ...args) {
+    print: function(arg1, ...args) {
         args.unshift(arg1);
         let msg = args.map((arg) => {
-            return List.stringify(arg, ['', '']);
+            return List.stringify(arg, ['', ''], [], this.dialect.formatNumber);
         }).join(' ');
-        await this.print(msg);
+        return this.print(msg);
     },
 
-    show: async function(arg1, ...args) {
+    show: function(arg1, ...args) {
         args.unshift(arg1);
         let msg = args.map((arg) => {
-            return List.stringify(arg, ['[', ']']);
+            return List.stringify(arg, ['[', ']'], [], this.dialect.formatNumber);
         }).join(' ');
-        await this.print(msg);
+        return this.print(msg);
     },
 
     wait: function(frames) {
-        return new Promise((resolve, reject) => {
-            let ms = (1000 * frames) / 60;
-            let id = setTimeout(() => {
-                this.onbreak = null;
-                resolve();
-            }, ms);
-            this.onbreak = (reason) => {
-                clearTimeout(id);
-                reject(reason);
-            };
-        });
+        return sleep.call(this, (1000 * frames) / 60);
+    },
+    waitframe: function() {
+        let clock = this.clock;
+        return suspend.call(this, (wake) => clock.requestFrame(wake),
+            (id) => clock.cancelFrame(id));
+    },
+    readword: function() {
+        return readLine.call(this);
+    },
+    readlist: function() {
+        return whenReady(readLine.call(this), (line) => this.parse(line));
     },
 
-    // Value get/set
+    // Tasks, see Task; every and after take milliseconds
 
-    thing: async function(name) {
-        if (!isString(name)) {
-            throw new TypeError('Invalid variable name');
+    launch: function(block) {
+        if (!isList(block)) {
+            throw new TypeError('block must be a list');
         }
-        let binding = this.currentScope().getBinding(name);
-        if (!binding) {
-            throw new ReferenceError('Undefined variable ' + name);
+        this.spawn(() => this.evaluate(block));
+    },
+    every: function(ms, block) {
+        let delay = toNumber(ms, 'every');
+        if (!isList(block)) {
+            throw new TypeError('block must be a list');
         }
-        return binding.value;
+        this.spawn(() => loop(() => {
+            return whenReady(this.evaluate(block), () => {
+                return whenReady(sleep.call(this, delay), () => true);
+            });
+        }));
     },
-    make: async function(name, val) {
-        if (!isString(name)) {
-            throw new TypeError('Invalid variable name');
+    after: function(ms, block) {
+        let delay = toNumber(ms, 'after');
+        if (!isList(block)) {
+            throw new TypeError('block must be a list');
         }
-        this.currentScope().set(name, val);
+        this.spawn(() => whenReady(sleep.call(this, delay), () => this.evaluate(block)));
     },
-    local: async function(name, ...names) {
-        let all;
-        if (isList(name)) {
-            all = Array.from(name);
+    stopall: function() {
+        for (let task of this.tasks) {
+            if (task !== this.task && !task.breakFlag) {
+                task.break();
+            }
+        }
+        throw new LogoThrow('toplevel');
+    },
+
+    // Clock, see Interpreter#clock; timer is in milliseconds
+
+    timer: function() {
+        return this.clock.now() - this.timerStart;
+    },
+    resettimer: function() {
+        this.timerStart = this.clock.now();
+    },
+    seconds: function() {
+        return (this.clock.now() - this.timerStart) / 1000;
+    },
+    time: function() {
+        let now = new Date(this.clock.now());
+        return List.of(now.getHours(), now.getMinutes(), now.getSeconds());
+    },
+    date: function() {
+        let now = new Date(this.clock.now());
+        return List.of(now.getFullYear(), now.getMonth() + 1, now.getDate());
+    },
+
+    // Keyboard and mouse, see Interpreter#dispatchEvent
+
+    onkey: function(block) {
+        setHandler.call(this, 'key', block, 'onkey');
+    },
+    onclick: function(block) {
+        setHandler.call(this, 'click', block, 'onclick');
+    },
+    ondrag: function(block) {
+        setHandler.call(this, 'drag', block, 'ondrag');
+    },
+    keyboardvalue: function() {
+        return this.keyboardValue;
+    },
+    readchar: function() {
+        let task = this.task;
+        return suspend.call(this, (wake) => {
+            // Several tasks may be waiting for the same key
+            let reader = (key) => task.resumeWith(wake, key);
+            this.keyReaders.add(reader);
+            return reader;
+        }, (reader) => this.keyReaders.delete(reader));
+    },
+    mousepos: function() {
+        return List.of(this.mouse.x, this.mouse.y);
+    },
+    buttonp: function() {
+        return this.mouse.down;
+    },
+
+    // Value get/set
+
+    thing: function(name) {
+        if (!isString(name)) {
+            throw new TypeError('Invalid variable name');
+        }
+        let binding = this.currentScope().getBinding(name);
+        if (!binding) {
+            throw new ReferenceError('Undefined variable ' + name);
+        }
+        return binding.value;
+    },
+    make: function(name, val) {
+        if (!isString(name)) {
+            throw new TypeError('Invalid variable name');
+        }
+        this.currentScope().set(name, val);
+    },
+    local: function(name, ...names) {
+        let all;
+        if (isList(name)) {
+            all = Array.from(name);
         } else {
             all = [name];
         }
@@ -817,7 +2046,7 @@ let builtins = {
             this.currentScope().bind(n, binding);
         }
     },
-    global: async function(name, ...names) {
+    global: function(name, ...names) {
         let all;
         if (isList(name)) {
             all = Array.from(name);
@@ -839,7 +2068,7 @@ let builtins = {
             this.currentScope().bind(n, binding);
         }
     },
-    push: async function(name, val) {
+    push: function(name, val) {
         let scope = this.currentScope();
         let list = scope.get(name);
         if (!isList(list)) {
@@ -850,47 +2079,186 @@ let builtins = {
     },
 
     // Infix operators
-    '+': async function(a, b) {
-        return a + b;
+    '+': function(a, b) {
+        return toNumber(a, '+') + toNumber(b, '+');
     },
-    '-': async function(a, b) {
-        return a - b;
+    '-': function(a, b) {
+        return toNumber(a, '-') - toNumber(b, '-');
     },
-    '*': async function(a, b) {
-        return a * b;
+    '*': function(a, b) {
+        return toNumber(a, '*') * toNumber(b, '*');
     },
-    '/': async function(a, b) {
-        return a / b;
+    '/': function(a, b) {
+        return toNumber(a, '/') / toDivisor(b, '/');
     },
-    '<': async function(a, b) {
-        return a < b;
+    '<': function(a, b) {
+        return toNumber(a, '<') < toNumber(b, '<');
     },
-    '>': async function(a, b) {
-        return a > b;
+    '>': function(a, b) {
+        return toNumber(a, '>') > toNumber(b, '>');
     },
-    '=': async function(a, b) {
+    '=': function(a, b) {
         return List.equal(a, b);
     },
 
     // Arithmetric
-    sum: async function(a, b) {
-        return a + b;
+    sum: function(a, b) {
+        return toNumber(a, 'sum') + toNumber(b, 'sum');
+    },
+    difference: function(a, b) {
+        return toNumber(a, 'difference') - toNumber(b, 'difference');
+    },
+    minus: function(a) {
+        return -toNumber(a, 'minus');
+    },
+    product: function(a, b) {
+        return toNumber(a, 'product') * toNumber(b, 'product');
+    },
+    quotient: function(a, b) {
+        return toNumber(a, 'quotient') / toDivisor(b, 'quotient');
+    },
+    remainder: function(a, b) {
+        // Takes the sign of a
+        return toNumber(a, 'remainder') % toDivisor(b, 'remainder');
+    },
+    modulo: function(a, b) {
+        // Takes the sign of b
+        let divisor = toDivisor(b, 'modulo');
+        return (toNumber(a, 'modulo') % divisor + divisor) % divisor;
+    },
+    abs: function(a) {
+        return Math.abs(toNumber(a, 'abs'));
+    },
+    int: function(a) {
+        return Math.trunc(toNumber(a, 'int'));
+    },
+    round: function(a) {
+        // Halves round away from zero
+        let n = toNumber(a, 'round');
+        return Math.sign(n) * Math.round(Math.abs(n));
+    },
+    sqrt: function(a) {
+        let n = toNumber(a, 'sqrt');
+        if (n < 0) {
+            throw badInput('sqrt', a);
+        }
+        return Math.sqrt(n);
+    },
+    power: function(a, b) {
+        return Math.pow(toNumber(a, 'power'), toNumber(b, 'power'));
+    },
+    exp: function(a) {
+        return Math.exp(toNumber(a, 'exp'));
+    },
+    ln: function(a) {
+        let n = toNumber(a, 'ln');
+        if (n <= 0) {
+            throw badInput('ln', a);
+        }
+        return Math.log(n);
+    },
+    log10: function(a) {
+        let n = toNumber(a, 'log10');
+        if (n <= 0) {
+            throw badInput('log10', a);
+        }
+        return Math.log10(n);
+    },
+
+    // Trigonometry, in degrees like turtle headings,
+    // or radians for the rad* versions
+    sin: function(a) {
+        return Math.sin(toNumber(a, 'sin') * radiansPerDegree);
+    },
+    cos: function(a) {
+        return Math.cos(toNumber(a, 'cos') * radiansPerDegree);
+    },
+    tan: function(a) {
+        return Math.tan(toNumber(a, 'tan') * radiansPerDegree);
+    },
+    arctan: function(a, b=null) {
+        return builtins.radarctan.call(this, a, b) / radiansPerDegree;
+    },
+    radsin: function(a) {
+        return Math.sin(toNumber(a, 'radsin'));
+    },
+    radcos: function(a) {
+        return Math.cos(toNumber(a, 'radcos'));
     },
-    difference: async function(a, b) {
-        return a - b;
+    radtan: function(a) {
+        return Math.tan(toNumber(a, 'radtan'));
     },
-    product: async function(a, b) {
-        return a * b;
+    radarctan: function(a, b=null) {
+        if (b === null) {
+            return Math.atan(toNumber(a, 'arctan'));
+        }
+        // (arctan x y) is the angle of the point x, y
+        return Math.atan2(toNumber(b, 'arctan'), toNumber(a, 'arctan'));
+    },
+
+    // Random numbers
+    random: function(a, b=null) {
+        if (b === null) {
+            // 0 up to a, not including a
+            let range = toInteger(a, 'random');
+            if (range <= 0) {
+                throw badInput('random', a);
+            }
+            return Math.floor(this.random() * range);
+        }
+        // a up to b, including b
+        let low = toInteger(a, 'random');
+        let high = toInteger(b, 'random');
+        if (high < low) {
+            throw badInput('random', b);
+        }
+        return low + Math.floor(this.random() * (high - low + 1));
+    },
+    rerandom: function(seed=0) {
+        this.random = seededRandom(toInteger(seed, 'rerandom'));
+    },
+    pick: function(list) {
+        if (!isList(list) || list.isEmpty()) {
+            throw badInput('pick', list);
+        }
+        let items = Array.from(list);
+        return items[Math.floor(this.random() * items.length)];
+    },
+
+    // Bitwise operations on 32-bit integers
+    bitand: function(a, b, ...rest) {
+        return [a, b, ...rest].reduce((result, n) => {
+            return result & toInteger(n, 'bitand');
+        }, -1);
+    },
+    bitor: function(a, b, ...rest) {
+        return [a, b, ...rest].reduce((result, n) => {
+            return result | toInteger(n, 'bitor');
+        }, 0);
     },
-    quotient: async function(a, b) {
-        return a / b;
+    bitxor: function(a, b, ...rest) {
+        return [a, b, ...rest].reduce((result, n) => {
+            return result ^ toInteger(n, 'bitxor');
+        }, 0);
     },
-    remainder: async function(a, b) {
-        return a % b;
+    bitnot: function(a) {
+        return ~toInteger(a, 'bitnot');
+    },
+    ashift: function(a, bits) {
+        // Keeps the sign; negative bits shift right
+        let n = toInteger(a, 'ashift');
+        let shift = toInteger(bits, 'ashift');
+        return shift >= 0 ? n << shift : n >> -shift;
+    },
+    lshift: function(a, bits) {
+        // Fills with zeros; negative bits shift right
+        let n = toInteger(a, 'lshift');
+        let shift = toInteger(bits, 'lshift');
+        return shift >= 0 ? n << shift : (n >>> -shift) | 0;
     },
 
     // Predicates
-    emptyp: async function(arg) {
+    emptyp: function(arg) {
         if (isList(arg)) {
             return arg.isEmpty();
         }
@@ -899,235 +2267,1213 @@ let builtins = {
         }
         return false;
     },
-    equalp: async function(a, b) {
+    equalp: function(a, b) {
         return List.equal(a, b);
     },
-    listp: async function(arg) {
+    listp: function(arg) {
         return isList(arg);
     },
-    memberp: async function(arg, list) {
-        if (!isList(list)) {
-            throw new TypeError('list must be a list');
+    arrayp: function(arg) {
+        return isArray(arg);
+    },
+    memberp: function(thing, container) {
+        if (isArray(container)) {
+            return container.items.some((item) => List.equal(thing, item));
         }
-        for (let item in list) {
-            if (List.equal(arg, item)) {
-                return true;
-            }
+        let rest = builtins.member.call(this, thing, container);
+        return isList(rest) ? !rest.isEmpty() : rest !== '';
+    },
+    substringp: function(a, b) {
+        if (!isWord(a) || !isWord(b)) {
+            return false;
         }
-        return false;
+        return String(b).includes(String(a));
+    },
+    beforep: function(a, b) {
+        if (!isWord(a) || !isWord(b)) {
+            throw new TypeError('beforep inputs must be words');
+        }
+        return String(a) < String(b);
     },
-    numberp: async function(arg) {
+    numberp: function(arg) {
         return isNumber(arg);
     },
-    wordp: async function(arg) {
+    wordp: function(arg) {
         // Note in Atari Logo at least, words include numbers and booleans
         return isWord(arg);
     },
 
     // Control structures
-    stop: async function() {
+    stop: function() {
         let context = this.currentContext();
         if (context === this.globalContext) {
-            throw new SyntaxError('stop is not allowed at top level');
+            throw new LogoError(ErrorCodes.STOP_AT_TOPLEVEL, 'stop is not allowed at top level');
         }
         context.stop = true;
     },
-    output: async function(arg) {
+    output: function(arg) {
         let context = this.currentContext();
         if (context === this.globalContext) {
-            throw new SyntaxError('output is not allowed at top level');
+            throw new LogoError(ErrorCodes.STOP_AT_TOPLEVEL, 'output is not allowed at top level');
         }
         context.stop = true;
         context.output = arg;
     },
-    run: async function(block) {
+    run: function(block) {
         if (!isList(block)) {
             throw new TypeError('block must be a list');
         }
-        return await this.evaluate(block);
+        return this.evaluate(block);
     },
-    runresult: async function(block) {
+    runresult: function(block) {
         if (!isList(block)) {
             throw new TypeError('block must be a list');
         }
-        let result = await this.evaluate(block);
-        if (result === undefined) {
-            return List.empty;
-        }
-        return List.of(result);
+        return whenReady(this.evaluate(block), (result) => {
+            if (result === undefined) {
+                return List.empty;
+            }
+            return List.of(result);
+        });
     },
-    repeat: async function(times, block) {
+    repeat: function(times, block) {
         if (!isNumber(times)) {
             throw new TypeError('times must be a number');
         }
-        if (!isList(block)) {
-            throw new TypeError('block must be a list');
+        return runCounted.call(this, block, times);
+    },
+    forever: function(block) {
+        return runCounted.call(this, block, Infinity);
+    },
+    repcount: function() {
+        let counts = this.repeatCounts;
+        return counts.length ? counts[counts.length - 1] : -1;
+    },
+    if: function(cond, block) {
+        if (cond) {
+            return this.evaluate(block);
         }
-        for (let i = 0; i < times; i++) {
-            await this.evaluate(block);
-            if (this.currentContext().stop) {
-                break;
+    },
+    ifelse: function(cond, thenBlock, elseBlock) {
+        if (cond) {
+            return this.evaluate(thenBlock);
+        } else {
+            return this.evaluate(elseBlock);
+        }
+    },
+    while: function(cond, block) {
+        return loop(() => {
+            return whenReady(testCondition.call(this, cond, 'while'), (more) => {
+                return more && runBody.call(this, block);
+            });
+        });
+    },
+    until: function(cond, block) {
+        return loop(() => {
+            return whenReady(testCondition.call(this, cond, 'until'), (done) => {
+                return !done && runBody.call(this, block);
+            });
+        });
+    },
+    'do.while': function(block, cond) {
+        return loop(() => {
+            return whenReady(runBody.call(this, block), (more) => {
+                return more && testCondition.call(this, cond, 'do.while');
+            });
+        });
+    },
+    'do.until': function(block, cond) {
+        return loop(() => {
+            return whenReady(runBody.call(this, block), (more) => {
+                return more && whenReady(testCondition.call(this, cond, 'do.until'), (done) => !done);
+            });
+        });
+    },
+    for: function(control, block) {
+        if (!isList(control) || control.isEmpty() || !isWord(control.head)) {
+            throw badInput('for', control);
+        }
+        let name = String(control.head);
+        return whenReady(this.evaluateEach(control.tail), (values) => {
+            if (values.length < 2 || values.length > 3) {
+                throw badInput('for', control);
+            }
+            let [start, limit, step] = values.map((value) => toNumber(value, 'for'));
+            if (step === undefined) {
+                step = start <= limit ? 1 : -1;
+            } else if (step === 0) {
+                throw badInput('for', control);
+            }
+            // The variable is local to the loop, as in UCBLogo.
+            let scope = new Scope(this.currentScope());
+            let value = start;
+            this.scopes.push(scope);
+            return whenDone(() => loop(() => {
+                if ((value - limit) * step > 0) {
+                    return false;
+                }
+                scope.bindValue(name, value);
+                value += step;
+                return runBody.call(this, block);
+            }), () => {
+                this.scopes.pop();
+            });
+        });
+    },
+    test: function(cond) {
+        this.currentContext().test = toBoolean(cond, 'test');
+    },
+    iftrue: function(block) {
+        let result = this.currentContext().test;
+        if (result === undefined) {
+            throw new Error('iftrue without test');
+        }
+        if (result) {
+            return this.evaluate(block);
+        }
+    },
+    iffalse: function(block) {
+        let result = this.currentContext().test;
+        if (result === undefined) {
+            throw new Error('iffalse without test');
+        }
+        if (!result) {
+            return this.evaluate(block);
+        }
+    },
+    case: function(value, clauses) {
+        if (!isList(clauses)) {
+            throw badInput('case', clauses);
+        }
+        for (let clause of clauses) {
+            if (!isList(clause) || clause.isEmpty()) {
+                throw badInput('case', clause);
+            }
+            let match = this.isKeyword(clause.head, 'else') || (isList(clause.head)
+                && Array.from(clause.head).some((item) => List.equal(item, value)));
+            if (match) {
+                return this.evaluate(clause.tail);
             }
         }
+        return undefined;
     },
-    forever: async function(block) {
-        for (;;) {
-            await this.evaluate(block);
-            if (this.currentContext().stop) {
-                break;
+    cond: function(clauses) {
+        if (!isList(clauses)) {
+            throw badInput('cond', clauses);
+        }
+        let next = (iter) => {
+            if (iter.isEmpty()) {
+                return undefined;
+            }
+            let clause = iter.head;
+            if (!isList(clause) || clause.isEmpty()) {
+                throw badInput('cond', clause);
+            }
+            if (this.isKeyword(clause.head, 'else')) {
+                return this.evaluate(clause.tail);
             }
+            return whenReady(testCondition.call(this, clause.head, 'cond'), (match) => {
+                return match ? this.evaluate(clause.tail) : next(iter.tail);
+            });
+        };
+        return next(clauses);
+    },
+
+    // Non-local exits and errors
+    catch: function(tag, block) {
+        if (!isWord(tag)) {
+            throw badInput('catch', tag);
+        }
+        tag = this.globalScope.key(String(tag));
+        let scopes = this.scopes.length;
+        let contexts = this.contexts.length;
+        let repeatCounts = this.repeatCounts.length;
+        let templateInputs = this.templateInputs.length;
+        let caught = (e) => {
+            let err = this.wrapError(e);
+            if (err instanceof LogoThrow && err.tag === tag) {
+                // Fall through to unwind, outputting the thrown value
+            } else if (tag === 'error' && !uncatchableErrors.has(err.code)) {
+                if (!err.callStack) {
+                    err.callStack = this.callStack();
+                }
+                this.lastError = this.localizeError(err);
+            } else {
+                throw err;
+            }
+            // Procedures and loops clean up after themselves as
+            // errors pass through, but make sure we're back where
+            // the catch started.
+            this.scopes.length = scopes;
+            this.contexts.length = contexts;
+            this.repeatCounts.length = repeatCounts;
+            this.templateInputs.length = templateInputs;
+            return err.value;
+        };
+        let retval;
+        try {
+            retval = this.evaluate(block);
+        } catch (e) {
+            return caught(e);
+        }
+        if (retval instanceof Promise) {
+            return retval.catch(caught);
         }
+        return retval;
     },
-    if: async function(cond, block) {
-        if (cond) {
-            return await this.evaluate(block);
+    throw: function(tag, value=undefined) {
+        if (!isWord(tag)) {
+            throw badInput('throw', tag);
         }
+        tag = this.globalScope.key(String(tag));
+        if (tag === 'error') {
+            let message = value === undefined ? 'throw "error' : List.stringify(value, ['', '']);
+            throw new LogoError(ErrorCodes.RUNTIME, message);
+        }
+        throw new LogoThrow(tag, value);
     },
-    ifelse: async function(cond, thenBlock, elseBlock) {
-        if (cond) {
-            return await this.evaluate(block);
-        } else {
-            return await this.evaluate(block);
+    error: function() {
+        let err = this.lastError;
+        if (!err) {
+            return List.empty;
         }
+        this.lastError = null;
+        let frame = err.callStack && err.callStack[0];
+        return List.of(
+            err.code,
+            err.message,
+            frame ? frame.name : List.empty,
+            err.hasLocation() ? err.line : List.empty);
+    },
+    ignore: function(value) {
+        // Discards its input
+    },
+    toplevel: function() {
+        throw new LogoThrow('toplevel');
     },
 
     // Template iteration
-    apply: async function(template, inputlist) {
+    apply: function(template, inputlist) {
         let inputs = Array.from(inputlist);
-        return await this.runTemplate(template, inputs);
+        return this.runTemplate(template, inputs);
     },
-    invoke: async function(template, input1, ...inputs) {
+    invoke: function(template, input1, ...inputs) {
         inputs.unshift(input1);
-        return await this.runTemplate(template, inputs);
+        return this.runTemplate(template, inputs);
     },
-    foreach: async function(data, template, ...rest) {
-        await doMap.call(this, data, template, rest);
+    foreach: function(data, template, ...rest) {
+        return doMap.call(this, data, template, rest);
     },
-    map: async function(data, template, ...rest) {
+    map: function(data, template, ...rest) {
         let builder = new ListBuilder();
-        await doMap.call(this, data, template, rest, (val) => {
+        let done = doMap.call(this, data, template, rest, (val) => {
             builder.push(val);
         });
-        return builder.list;
+        return whenReady(done, () => builder.list);
     },
-};
-
-// Aliases of builtin procedures and macros
-let aliases = {
-    'op': 'output',
-    'bf': 'butfirst',
-    'bl': 'butlast',
-};
-for (let [alias, original] of Object.entries(aliases)) {
-    builtins[alias] = builtins[original];
-}
-
-export class Interpreter {
-    constructor() {
-        // procedurs
-        this.procedureScope = new Scope();
-        this.procedureScope.bindValues(builtins);
-        // variables
-        this.globalScope = new Scope();
-        // top-level context
-        this.globalContext = new Context();
-
-        // stack
-        this.scopes = [this.globalScope];
-        this.contexts = [this.globalContext];
-
-        // keeps track of original source position of parsed list nodes
-        this.sourceMap = new WeakMap();
-
-        // Set to true during program execution.
-        this.running = false;
-        // Set to true when break() is called.
-        this.breakFlag = false;
-        // Set to true when pause() is called.
-        this.paused = false;
-
-        // Sync callback for cancelable async operations
-        // exposed through commands.
-        this.onbreak = null;
-        this.oncontinue = null;
-
-        // Async callback for Logo code evaluation.
-        // Is called with the body, current node, and
-        // argument values on every command or operation
-        // call.
-        //
-        // Code can trace, or even delay execution.
-        this.oncall = null;
-        this.onvalue = null;
-        this.onprint = null;
-    }
-
-    currentContext() {
-        let contexts = this.contexts;
-        let len = contexts.length;
-        if (len > 0) {
-            return contexts[len - 1];
+    filter: function(data, template) {
+        let kept = [];
+        let done = eachItem(members(data, 'filter'), (item) => {
+            return whenReady(this.runTemplate(template, [item]), (keep) => {
+                if (toBoolean(keep, 'filter')) {
+                    kept.push(item);
+                }
+                return true;
+            });
+        });
+        return whenReady(done, () => membersLike(data, kept));
+    },
+    find: function(data, template) {
+        let found = List.empty;
+        let done = eachItem(members(data, 'find'), (item) => {
+            return whenReady(this.runTemplate(template, [item]), (match) => {
+                if (toBoolean(match, 'find')) {
+                    found = item;
+                    return false;
+                }
+                return true;
+            });
+        });
+        return whenReady(done, () => found);
+    },
+    reduce: function(data, template) {
+        // Combines from the right as in UCBLogo, so
+        // `reduce [a b c] "f` is `f a f b c`.
+        let items = members(data, 'reduce').reverse();
+        if (!items.length) {
+            throw badInput('reduce', data);
         }
-        return undefined;
-    }
-
-    currentScope() {
-        let scopes = this.scopes;
-        let len = scopes.length;
-        if (len > 0) {
-            return scopes[len - 1];
+        let result = items.shift();
+        let done = eachItem(items, (item) => {
+            return whenReady(this.runTemplate(template, [item, result]), (value) => {
+                result = value;
+                return true;
+            });
+        });
+        return whenReady(done, () => result);
+    },
+    crossmap: function(listlist, template, ...rest) {
+        let lists = [listlist];
+        while (rest.length) {
+            lists.push(template);
+            template = rest.shift();
         }
-        return undefined;
-    }
-
-    async print(str) {
-        str = String(str);
-        if (this.onprint) {
-            await this.onprint(str);
-        } else {
-            this.console.log(str);
+        if (lists.length === 1) {
+            // (crossmap [[1 2] [a b]] template)
+            lists = members(listlist, 'crossmap');
         }
-    }
-
-    /**
-     * Create a live function object wrapping a Logo
-     * procedure definition.
-     *
-     * @param {string} funcName 
-     * @param {Iterable<string>} argNames 
-     * @param {Iterable<LogoValue>} body 
-     * @returns {function}
+        let sources = lists.map((list) => members(list, 'crossmap'));
+        // Every combination, varying the last input fastest
+        let combinations = [[]];
+        for (let source of sources) {
+            combinations = combinations.flatMap((inputs) => {
+                return source.map((item) => inputs.concat([item]));
+            });
+        }
+        let builder = new ListBuilder();
+        let done = eachItem(combinations, (inputs) => {
+            return whenReady(this.runTemplate(template, inputs), (value) => {
+                builder.push(value);
+                return true;
+            });
+        });
+        return whenReady(done, () => builder.list);
+    },
+    cascade: function(endtest, start, template) {
+        // endtest is a number of times to run the template, or
+        // a template taking the value so far that outputs true
+        // to stop.
+        let value = start;
+        let count = 0;
+        let finished = () => {
+            if (isNumber(endtest)) {
+                return count >= endtest;
+            }
+            return testCondition.call(this, this.runTemplate(endtest, [value]), 'cascade');
+        };
+        return whenReady(loop(() => {
+            return whenReady(finished(), (stop) => {
+                if (stop) {
+                    return false;
+                }
+                count++;
+                return whenReady(this.runTemplate(template, [value]), (next) => {
+                    value = next;
+                    return true;
+                });
+            });
+        }), () => value);
+    },
+    transfer: function(endtest, inbasket, template) {
+        // Both templates take the next item and the output so
+        // far; an empty endtest runs until the inbasket is empty.
+        let out = List.empty;
+        let done = eachItem(members(inbasket, 'transfer'), (item) => {
+            let stop = isList(endtest) && endtest.isEmpty() ? false
+                : whenReady(this.runTemplate(endtest, [item, out]), (result) => {
+                    return toBoolean(result, 'transfer');
+                });
+            return whenReady(stop, (stop) => {
+                if (stop) {
+                    return false;
+                }
+                return whenReady(this.runTemplate(template, [item, out]), (next) => {
+                    out = next;
+                    return true;
+                });
+            });
+        });
+        return whenReady(done, () => out);
+    },
+    sort: function(data, template=undefined) {
+        let before = (a, b) => defaultBefore(a, b);
+        if (template !== undefined) {
+            before = (a, b) => whenReady(this.runTemplate(template, [a, b]), (result) => {
+                return toBoolean(result, 'sort');
+            });
+        }
+        // Binary insertion, keeping equal items in order
+        let sorted = [];
+        let done = eachItem(members(data, 'sort'), (item) => {
+            let low = 0;
+            let high = sorted.length;
+            return whenReady(loop(() => {
+                if (low >= high) {
+                    return false;
+                }
+                let middle = (low + high) >> 1;
+                return whenReady(before(item, sorted[middle]), (isBefore) => {
+                    if (isBefore) {
+                        high = middle;
+                    } else {
+                        low = middle + 1;
+                    }
+                    return true;
+                });
+            }), () => {
+                sorted.splice(low, 0, item);
+                return true;
+            });
+        });
+        return whenReady(done, () => membersLike(data, sorted));
+    },
+    iseq: function(from, to) {
+        from = toInteger(from, 'iseq');
+        to = toInteger(to, 'iseq');
+        let step = from <= to ? 1 : -1;
+        let items = [];
+        for (let i = from; i !== to + step; i += step) {
+            items.push(i);
+        }
+        return List.from(items);
+    },
+    rseq: function(from, to, count) {
+        from = toNumber(from, 'rseq');
+        to = toNumber(to, 'rseq');
+        count = toInteger(count, 'rseq');
+        if (count < 1) {
+            throw badInput('rseq', count);
+        }
+        let items = [];
+        for (let i = 0; i < count; i++) {
+            items.push(count === 1 ? from : from + (to - from) * i / (count - 1));
+        }
+        return List.from(items);
+    },
+
+    // Question-mark templates, see Interpreter#runTemplate
+    '?': function(n=1) {
+        let inputs = currentTemplateInputs.call(this, '?');
+        n = toInteger(n, '?');
+        if (n < 1 || n > inputs.length) {
+            throw badInput('?', n);
+        }
+        return inputs[n - 1];
+    },
+    '?rest': function() {
+        return List.from(currentTemplateInputs.call(this, '?rest').slice(1));
+    },
+
+    // Property lists
+    pprop: function(name, prop, value) {
+        if (!isWord(name) || !isWord(prop)) {
+            throw new TypeError('property list and property names must be words');
+        }
+        name = propertyKey.call(this, name);
+        prop = propertyKey.call(this, prop);
+        let plist = this.propertyLists.get(name);
+        if (!plist) {
+            plist = new Map();
+            this.propertyLists.set(name, plist);
+        }
+        plist.set(prop, value);
+    },
+    gprop: function(name, prop) {
+        name = propertyKey.call(this, name);
+        prop = propertyKey.call(this, prop);
+        let plist = this.propertyLists.get(name);
+        if (plist && plist.has(prop)) {
+            return plist.get(prop);
+        }
+        return List.empty;
+    },
+    remprop: function(name, prop) {
+        name = propertyKey.call(this, name);
+        prop = propertyKey.call(this, prop);
+        let plist = this.propertyLists.get(name);
+        if (plist) {
+            plist.delete(prop);
+            if (!plist.size) {
+                this.propertyLists.delete(name);
+            }
+        }
+    },
+    plist: function(name) {
+        let builder = new ListBuilder();
+        let plist = this.propertyLists.get(propertyKey.call(this, name));
+        if (plist) {
+            for (let [prop, value] of plist) {
+                builder.push(prop);
+                builder.push(value);
+            }
+        }
+        return builder.list;
+    },
+
+    // Workspace management
+    text: function(name) {
+        return this.procedureText(name);
+    },
+    define: function(name, text) {
+        defineText.call(this, name, text, false);
+    },
+    '.defmacro': function(name, text) {
+        defineText.call(this, name, text, true);
+    },
+    macrop: function(name) {
+        let binding = this.procedureScope.getBinding(String(name));
+        return Boolean(binding) && this.isMacro(binding.value);
+    },
+    copydef: function(newName, oldName) {
+        if (!isString(newName) || !isString(oldName)) {
+            throw new TypeError('procedure names must be words');
+        }
+        refusePrimitive.call(this, newName);
+        let binding = this.procedureScope.getBinding(oldName);
+        if (!binding) {
+            throw new ReferenceError('Undefined procedure ' + oldName);
+        }
+        let definition = this.definitions.get(binding.value);
+        if (definition) {
+            this.defineProcedure(newName, definition.inputs, definition.body, {
+                lines: Array.from(this.procedureText(oldName).tail),
+                macro: definition.macro,
+            });
+        } else {
+            this.procedureScope.set(newName, binding.value);
+        }
+    },
+    po: function(contents) {
+        let {procedures, names, plists} = contentsList(contents);
+        let lines = procedures.map((name) => this.procedureSource(name));
+        for (let name of names) {
+            lines.push(makeInstruction(name, this.globalScope.get(name)));
+        }
+        for (let name of plists) {
+            let plist = this.propertyLists.get(propertyKey.call(this, name)) || new Map();
+            lines.push(...ppropInstructions(name, plist));
+        }
+        return this.print(lines.join('\n'));
+    },
+    pots: function() {
+        let lines = this.userProcedures().map((name) => {
+            return this.procedureTitle(name);
+        });
+        return this.print(lines.join('\n'));
+    },
+    pons: function() {
+        let variables = this.globalScope.variables();
+        let lines = Object.keys(variables).map((name) => {
+            return makeInstruction(name, variables[name]);
+        });
+        return this.print(lines.join('\n'));
+    },
+    popls: function() {
+        let lines = [];
+        for (let [name, plist] of this.propertyLists) {
+            lines.push(...ppropInstructions(name, plist));
+        }
+        return this.print(lines.join('\n'));
+    },
+    erase: function(contents) {
+        let {procedures, names, plists} = contentsList(contents);
+        for (let name of procedures) {
+            this.definitionOf(name);
+            this.procedureScope.unbind(name);
+        }
+        for (let name of names) {
+            this.globalScope.unbind(name);
+        }
+        for (let name of plists) {
+            this.propertyLists.delete(propertyKey.call(this, name));
+        }
+    },
+    erall: function() {
+        for (let name of this.userProcedures()) {
+            this.procedureScope.unbind(name);
+        }
+        for (let name of Object.keys(this.globalScope.variables())) {
+            this.globalScope.unbind(name);
+        }
+        this.propertyLists.clear();
+    },
+    procedures: function() {
+        return List.from(this.userProcedures());
+    },
+    names: function() {
+        let names = Object.keys(this.globalScope.variables());
+        return List.of(List.empty, List.from(names));
+    },
+    plists: function() {
+        let names = Array.from(this.propertyLists.keys());
+        return List.of(List.empty, List.empty, List.from(names));
+    },
+    save: function(name) {
+        if (!isString(name)) {
+            throw new TypeError('workspace name must be a word');
+        }
+        let text = JSON.stringify(this.saveWorkspace());
+        return whenReady(this.workspaceStorage().save(name, text), () => undefined);
+    },
+    load: function(name) {
+        if (!isString(name)) {
+            throw new TypeError('workspace name must be a word');
+        }
+        return whenReady(this.workspaceStorage().load(name), (text) => {
+            if (text === undefined) {
+                throw new Error('No saved workspace named ' + name);
+            }
+            this.loadWorkspace(JSON.parse(text));
+        });
+    },
+    primitivep: function(name) {
+        let binding = this.procedureScope.getBinding(String(name));
+        return Boolean(binding) && !this.definitions.has(binding.value);
+    },
+    definedp: function(name) {
+        let binding = this.procedureScope.getBinding(String(name));
+        return Boolean(binding) && this.definitions.has(binding.value);
+    },
+};
+
+// Aliases of builtin procedures and macros
+let aliases = {
+    'op': 'output',
+    'bf': 'butfirst',
+    'bl': 'butlast',
+    'er': 'erase',
+    '#': 'repcount',
+    'ift': 'iftrue',
+    'iff': 'iffalse',
+};
+for (let [alias, original] of Object.entries(aliases)) {
+    builtins[alias] = builtins[original];
+}
+
+// Print numbers to some number of significant digits, as older
+// Logos did, keeping whole numbers exact
+function significantDigits(digits) {
+    return (number) => {
+        if (Number.isInteger(number)) {
+            return String(number);
+        }
+        return String(Number(number.toPrecision(digits)));
+    };
+}
+
+// Abbreviations used by most other dialects, including for
+// the turtle commands from turtle.js
+const commonAliases = {
+    'fd': 'forward',
+    'bk': 'back',
+    'rt': 'right',
+    'lt': 'left',
+    'pu': 'up',
+    'pd': 'down',
+    'penup': 'up',
+    'pendown': 'down',
+    'setpc': 'color',
+    'setheading': 'seth',
+    'clearscreen': 'cs',
+    'pr': 'print',
+};
+
+// Builtins missing from the Logos of 8-bit machines
+const modernBuiltins = [
+    'array', 'mdarray', 'setitem', 'mdsetitem', 'mditem',
+    'listtoarray', 'arraytolist', 'arrayp',
+    'filter', 'find', 'reduce', 'crossmap', 'cascade', 'transfer',
+    'sort', 'iseq', 'rseq', '?', '?rest',
+];
+
+/**
+ * Profiles for running programs written for other Logo dialects,
+ * chosen with the `dialect` option of `Interpreter`:
+ *
+ * - `caseSensitive`: whether `FORWARD` and `forward` name different
+ *   procedures, and `:X` and `:x` different variables, and whether
+ *   `TO` and `END` work as well as `to` and `end`
+ * - `aliases`: extra names for procedures, as a map of aliases
+ *   to names; they're looked up as called, so they also work for
+ *   procedures bound later like the turtle commands
+ * - `formatNumber`: writes numbers for print and show
+ * - `omit`: builtins the dialect doesn't have
+ */
+export const dialects = {
+    default: {
+        name: 'default',
+        caseSensitive: true,
+        aliases: {},
+        formatNumber: String,
+        omit: [],
+    },
+    ucblogo: {
+        name: 'ucblogo',
+        caseSensitive: false,
+        aliases: Object.assign({
+            'setpencolor': 'color',
+        }, commonAliases),
+        formatNumber: significantDigits(15),
+        omit: [],
+    },
+    fmslogo: {
+        name: 'fmslogo',
+        caseSensitive: false,
+        aliases: Object.assign({
+            'setpencolor': 'color',
+        }, commonAliases),
+        formatNumber: significantDigits(15),
+        omit: [],
+    },
+    apple: {
+        name: 'apple',
+        caseSensitive: false,
+        aliases: commonAliases,
+        formatNumber: significantDigits(6),
+        omit: modernBuiltins,
+    },
+    atari: {
+        name: 'atari',
+        caseSensitive: false,
+        aliases: commonAliases,
+        formatNumber: significantDigits(6),
+        omit: modernBuiltins,
+    },
+};
+
+/**
+ * A thread of Logo execution, with its own stack of scopes and
+ * procedure contexts. Each `Interpreter#execute` call runs as a
+ * task, as do the instructions given to `launch`, `every` and
+ * `after`, all sharing the workspace.
+ *
+ * Tasks take turns: the running one carries on until it has to
+ * wait, such as when yielding to the event loop between calls,
+ * when the others get a chance to run.
+ */
+export class Task {
+    /**
+     * @param {Interpreter} interpreter
+     * @param {number} id
+     */
+    constructor(interpreter, id) {
+        this.interpreter = interpreter;
+        this.id = id;
+
+        // top-level context
+        this.globalContext = new Context();
+
+        // stack
+        this.scopes = [interpreter.globalScope];
+        this.contexts = [this.globalContext];
+
+        // iteration counts of the running repeat and forever
+        // loops, innermost last, for repcount
+        this.repeatCounts = [];
+        // last error caught by `catch "error`, for the error command
+        this.lastError = null;
+        // inputs of the running question-mark templates,
+        // innermost last, for ? and ?rest
+        this.templateInputs = [];
+
+        // Set to true while the task is running or about to.
+        this.running = false;
+        // Set to true when break() is called.
+        this.breakFlag = false;
+        // Set to true when pause() is called.
+        this.paused = false;
+
+        // Sync callback for cancelable async operations
+        // exposed through commands.
+        this.onbreak = null;
+        this.oncontinue = null;
+
+        // Usage counted against `Interpreter#limits`
+        this.instructionCount = 0;
+        this.startTime = 0;
+    }
+
+    pause() {
+        if (!this.running) {
+            throw new Error('Cannot pause when not running');
+        }
+        if (this.paused) {
+            throw new Error('Already paused');
+        }
+        this.paused = true;
+    }
+
+    continue() {
+        if (!this.running) {
+            throw new Error('Cannot continue when not running');
+        }
+        if (!this.paused) {
+            throw new Error('Cannot continue when not paused');
+        }
+        this.paused = false;
+        if (this.oncontinue) {
+            this.resumeWith(this.oncontinue);
+        }
+    }
+
+    break() {
+        if (!this.running) {
+            throw new Error('Cannot break when not running');
+        }
+        if (this.breakFlag) {
+            throw new Error('Already breaking');
+        }
+
+        // Interpreter loop will check this flag and break
+        // out with an internal exception.
+        this.breakFlag = true;
+
+        if (this.onbreak) {
+            // Async operations may set this callback
+            // so we can interrupt them, such as clearing
+            // a long-running timeout.
+            let reason = new LogoError(ErrorCodes.BREAK, 'Break requested');
+            this.resumeWith(this.onbreak, reason);
+        }
+
+        if (this.paused) {
+            this.continue();
+        }
+    }
+
+    /**
+     * Call a callback that lets the task carry on, from the event
+     * loop as the current task, so tasks woken together still run
+     * one at a time.
+     *
+     * @param {function} callback
+     * @param {*} [arg]
+     */
+    resumeWith(callback, arg=undefined) {
+        setTimeout(() => {
+            this.interpreter.task = this;
+            callback(arg);
+        }, 0);
+    }
+}
+
+export class Interpreter {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.limits] - initial values for `this.limits`
+     * @param {number} [options.yieldInterval] - initial `this.yieldInterval`
+     * @param {object} [options.storage] - initial `this.storage`
+     * @param {string|object} [options.dialect] - name of one of the
+     *   `dialects`, or a profile like them; fixed once constructed
+     * @param {object} [options.locale] - localized procedure names,
+     *   keywords and error messages, such as one of the `locales`
+     *   from locales.js; fixed once constructed
+     * @param {object} [options.clock] - initial `this.clock`
+     */
+    constructor(options={}) {
+        let dialect = options.dialect || 'default';
+        if (isString(dialect)) {
+            if (!Object.prototype.hasOwnProperty.call(dialects, dialect)) {
+                throw new TypeError('Unknown Logo dialect ' + dialect);
+            }
+            dialect = dialects[dialect];
+        }
+        this.dialect = dialect;
+        this.locale = options.locale || null;
+        let fold = dialect.caseSensitive ? undefined : (name) => String(name).toLowerCase();
+
+        let aliases = Object.assign({}, dialect.aliases);
+        if (this.locale) {
+            for (let [name, localized] of Object.entries(this.locale.procedures)) {
+                for (let alias of localized) {
+                    aliases[alias] = name;
+                }
+            }
+        }
+
+        // procedurs
+        this.procedureScope = new Scope(null, {
+            fold: fold,
+            aliases: aliases,
+        });
+        this.procedureScope.bindValues(builtins);
+        for (let name of dialect.omit) {
+            this.procedureScope.unbind(name);
+        }
+        // variables
+        this.globalScope = new Scope(null, {fold: fold});
+
+        // Running tasks, and the one whose stack and flags are
+        // `this.scopes`, `this.breakFlag` and so on; see `taskFields`.
+        // Between runs it's the main task, which execute() uses
+        // when it's free.
+        this.mainTask = new Task(this, 0);
+        this.task = this.mainTask;
+        this.tasks = new Set();
+        this.nextTaskId = 1;
+        // Sync callback for errors ending tasks started by launch,
+        // every and after, which have nobody else to tell.
+        this.ontaskerror = null;
+        // Sync callback, called with true when a task starts with
+        // none running and with false when the last one ends.
+        this.onrunning = null;
+
+        // Keyboard and mouse state, see dispatchEvent(): the last
+        // key pressed, readchar calls waiting for the next one,
+        // the mouse position in turtle coordinates, and handler
+        // blocks set by onkey, onclick and ondrag with the tasks
+        // last started for them.
+        this.keyboardValue = '';
+        this.keyReaders = new Set();
+        this.mouse = {x: 0, y: 0, down: false};
+        this.eventHandlers = {key: null, click: null, drag: null};
+        this.eventTasks = {key: null, click: null, drag: null};
+
+        // call site of the procedure being entered, see performCall()
+        this.callNode = undefined;
+
+        // keeps track of original source position of parsed list nodes
+        this.sourceMap = new WeakMap();
+        // compiled instructions by starting list node, see compile()
+        this.compiled = new WeakMap();
+        // user-defined procedures' text, see defineProcedure()
+        this.definitions = new WeakMap();
+
+        // property lists for pprop and gprop, as Maps of
+        // property names to values by property list name;
+        // Map keys match words just as List.equal does
+        this.propertyLists = new Map();
+
+        // random number source for random and pick, which
+        // rerandom replaces with a seeded one
+        this.random = seededRandom(Math.random() * 4294967296);
+        // last number used by gensym
+        this.gensymCount = 0;
+
+        // Async callback for Logo code evaluation.
+        // Is called with the body, current node, and
+        // argument values on every command or operation
+        // call.
+        //
+        // Code can trace, or even delay execution.
+        //
+        // Setting either hook makes every call go through
+        // the slower async path in performCallAsync().
+        this.oncall = null;
+        this.onvalue = null;
+        this.onprint = null;
+        // Async callback giving a line typed by the user,
+        // for readword and readlist. The Promise it returns may
+        // have a `cancel` method, called if the task is broken
+        // off while waiting.
+        this.onread = null;
+
+        // Milliseconds of synchronous running between yields
+        // to the event loop, which is when pause() and break()
+        // requests from event handlers can get through.
+        this.yieldInterval = options.yieldInterval === undefined ? 16 : options.yieldInterval;
+        this.lastYield = 0;
+        // Sync callback, called just before each such yield,
+        // and before waiting in wait, waitframe, every and after.
+        this.onyield = null;
+
+        // Where the save and load commands keep workspaces,
+        // such as a `MemoryStorage` or `WebStorage` from storage.js.
+        this.storage = options.storage || null;
+
+        // Time source for wait, every, after, waitframe, timer and
+        // so on, such as a `FakeClock` from clock.js for tests;
+        // timer counts from timerStart, which resettimer resets.
+        this.clock = options.clock || systemClock;
+        this.timerStart = this.clock.now();
+
+        // Debugger state, see setBreakpoint() and stepInto() etc.
+        this.breakpoints = {
+            lines: new Set(),
+            procedures: new Set(),
+        };
+        this.stepMode = null;
+        this.stepDepth = 0;
+        // Task stopped at pauseInfo, for stepping
+        this.debugTask = null;
+        // Last source line seen while line breakpoints are set
+        this.debugLine = undefined;
+        // Describes where we stopped while paused, or null
+        this.pauseInfo = null;
+
+        // Sync callback, called with pauseInfo whenever execution
+        // pauses on a breakpoint, a step, or a pause() request.
+        this.onpause = null;
+
+        // Resource limits for each execute() call. Exceeding one
+        // ends the run with a LogoError with the matching code.
+        // The defaults stop runaway code before it takes down
+        // the page or worker.
+        this.limits = Object.assign({
+            // procedure calls, including builtins and operators
+            maxInstructions: Infinity,
+            // milliseconds of running time, not counting pauses
+            // and waits such as wait, waitframe or readword
+            maxTime: 60000,
+            // nested Logo procedure calls
+            maxDepth: 10000,
+            // items in any list or array output by a procedure
+            maxListSize: Infinity,
+        }, options.limits);
+        // Cache of list lengths by List record, for maxListSize
+        this.listSizes = new WeakMap();
+    }
+
+    currentContext() {
+        let contexts = this.contexts;
+        let len = contexts.length;
+        if (len > 0) {
+            return contexts[len - 1];
+        }
+        return undefined;
+    }
+
+    /**
+     * Whether a word is the given keyword, such as "to" or "end",
+     * in any case if the dialect ignores case, or its translation
+     * in the locale.
+     *
+     * @param {LogoValue} word
+     * @param {string} keyword - in lowercase
+     * @returns {boolean}
+     */
+    isKeyword(word, keyword) {
+        if (!isString(word)) {
+            return false;
+        }
+        let key = this.globalScope.key(word);
+        if (key === keyword) {
+            return true;
+        }
+        let localized = this.locale && this.locale.keywords[keyword];
+        return localized !== undefined && key === this.globalScope.key(localized);
+    }
+
+    /**
+     * Whether a word starts a definition: "to", or ".macro"
+     * for a macro.
+     *
+     * @param {LogoValue} word
+     * @returns {boolean}
+     */
+    isDefinition(word) {
+        return this.isKeyword(word, 'to') || this.isKeyword(word, '.macro');
+    }
+
+    /**
+     * Replace an error's message with the locale's message for
+     * its code, if there is one. Messages needing a token keep
+     * their English text when the token isn't known.
+     *
+     * @param {Error} err
+     * @returns {Error} the same error
+     */
+    localizeError(err) {
+        if (!(err instanceof LogoError) || !this.locale) {
+            return err;
+        }
+        let template = this.locale.messages[err.code];
+        if (template === undefined) {
+            return err;
+        }
+        if (template.includes('{token}')) {
+            if (err.token === undefined) {
+                return err;
+            }
+            template = template.replace('{token}', List.stringify(err.token));
+        }
+        err.message = template;
+        return err;
+    }
+
+    currentScope() {
+        let scopes = this.scopes;
+        let len = scopes.length;
+        if (len > 0) {
+            return scopes[len - 1];
+        }
+        return undefined;
+    }
+
+    /**
+     * Print a line of text through `onprint`, waiting only if it
+     * returns a Promise; anything else it returns is ignored, as
+     * print never outputs.
+     *
+     * @param {string} str
+     * @returns {Promise|undefined}
+     */
+    print(str) {
+        str = String(str);
+        if (this.onprint) {
+            return whenReady(this.onprint(str), () => undefined);
+        } else {
+            this.console.log(str);
+        }
+    }
+
+    /**
+     * Create a live function object wrapping a Logo
+     * procedure definition.
+     *
+     * @param {string} funcName 
+     * @param {Array<LogoValue>} inputs - see `parseInputs`
+     * @param {Iterable<LogoValue>} body 
+     * @returns {function}
      */
-    procedure(funcName, argNames, body) {
+    procedure(funcName, inputs, body) {
         if (!isString(funcName)) {
             throw new TypeError('function name must be a string');
         }
-        for (let name of argNames) {
-            if (!isString(name)) {
-                throw new TypeError('function argument names must be strings');
-            }
-        }
-        let func = async (...args) => {
-            // Locally bind the arguments
+        let spec = parseInputs(inputs);
+        let func = (...args) => {
             let parentScope = this.currentScope();
             let scope = new Scope(parentScope);
-            for (let [index, name] of argNames.entries()) {
-                scope.bindValue(name, args[index]);
+            let context = new Context(funcName, args, this.callNode);
+            this.callNode = undefined;
+            if (this.contexts.length > this.limits.maxDepth) {
+                throw new LogoError(ErrorCodes.DEPTH_LIMIT,
+                    'Too many nested procedure calls (limit ' + this.limits.maxDepth + ')');
             }
-            let context = new Context();
             this.scopes.push(scope);
             this.contexts.push(context);
-            try {
-                await this.evaluate(body);
-            } finally {
+            let cleanup = () => {
                 this.contexts.pop();
                 this.scopes.pop();
-            }
-            return context.output;
+            };
+            let run = () => {
+                // Locally bind the arguments
+                return whenReady(bindInputs.call(this, scope, spec, args), () => {
+                    return this.evaluate(body);
+                });
+            };
+            let retval = whenDone(run, cleanup, (e) => {
+                // Capture the trace at the innermost procedure,
+                // before the stack unwinds.
+                let err = this.wrapError(e);
+                if (!err.callStack) {
+                    err.callStack = this.callStack();
+                }
+                return err;
+            });
+            return whenReady(retval, () => context.output);
+        };
+        let range = {
+            min: spec.required.length,
+            max: spec.rest === undefined ? spec.required.length + spec.optional.length : Infinity,
         };
         Object.defineProperties(func, {
+            // Inputs taken without parentheses
             length: {
-                value: argNames.length,
+                value: spec.arity,
+                writable: false,
+                enumerable: false,
+                configurable: true,
+            },
+            // See inputRange()
+            minInputs: {
+                value: range.min,
+                writable: false,
+                enumerable: false,
+                configurable: true,
+            },
+            maxInputs: {
+                value: range.max,
                 writable: false,
                 enumerable: false,
                 configurable: true,
@@ -1142,10 +3488,304 @@ export class Interpreter {
         return func;
     }
 
+    /**
+     * Create a user-defined procedure and bind it in the workspace,
+     * keeping its text for `text`, `po` and friends.
+     *
+     * @param {string} name
+     * @param {Array<LogoValue>} inputs - input names, without colons,
+     *   and lists for optional and rest inputs; see `parseInputs`
+     * @param {List} body - instructions
+     * @param {object} [text]
+     * @param {string} [text.source] - the definition as typed,
+     *   from "to" through "end"
+     * @param {Array<List>} [text.lines] - body instructions split
+     *   into lines; found from the source map if not given
+     * @param {boolean} [text.macro] - whether it's a macro, whose
+     *   output is run in place of the call; see `expandMacro`
+     * @returns {function}
+     */
+    defineProcedure(name, inputs, body, {source, lines, macro=false}={}) {
+        let func = this.procedure(name, inputs, body);
+        this.definitions.set(func, {
+            inputs: inputs,
+            body: body,
+            source: source,
+            lines: lines,
+            macro: macro,
+        });
+        this.procedureScope.set(name, func);
+        return func;
+    }
+
+    /**
+     * Look up a user-defined procedure's definition by name.
+     *
+     * @param {string} name
+     * @returns {object} with `inputs`, `body`, `macro`, and `source`
+     *   and `lines` if known
+     * @throws {ReferenceError} if there's no such procedure
+     * @throws {TypeError} if it's a primitive
+     */
+    definitionOf(name) {
+        if (!isString(name)) {
+            throw new TypeError('procedure name must be a word');
+        }
+        let binding = this.procedureScope.getBinding(name);
+        if (!binding) {
+            throw new ReferenceError('Undefined procedure ' + name);
+        }
+        let definition = this.definitions.get(binding.value);
+        if (!definition) {
+            throw new TypeError(name + ' is a primitive');
+        }
+        return definition;
+    }
+
+    /**
+     * Whether a procedure is a user-defined macro.
+     *
+     * @param {function} func
+     * @returns {boolean}
+     */
+    isMacro(func) {
+        let definition = this.definitions.get(func);
+        return Boolean(definition && definition.macro);
+    }
+
+    /**
+     * Names of the user-defined procedures, in definition order.
+     *
+     * @returns {Array<string>}
+     */
+    userProcedures() {
+        let procedures = this.procedureScope.variables();
+        return Object.keys(procedures).filter((name) => {
+            return this.definitions.has(procedures[name]);
+        });
+    }
+
+    /**
+     * UCBLogo procedure text: a list of the input names
+     * followed by a list for each line of instructions.
+     *
+     * @param {string} name
+     * @returns {List}
+     */
+    procedureText(name) {
+        let definition = this.definitionOf(name);
+        let lines = definition.lines;
+        if (!lines) {
+            lines = [];
+            let line;
+            let lineNumber;
+            for (let cursor = definition.body; !cursor.isEmpty(); cursor = cursor.tail) {
+                let next = this.lineForNode(cursor);
+                if (!line || next !== lineNumber) {
+                    line = new ListBuilder();
+                    lines.push(line);
+                    lineNumber = next;
+                }
+                line.push(cursor.head);
+            }
+            lines = lines.map((builder) => builder.list);
+        }
+        return new List(List.from(definition.inputs), List.from(lines));
+    }
+
+    procedureTitle(name) {
+        let definition = this.definitionOf(name);
+        let inputs = definition.inputs.map((input) => {
+            if (isString(input)) {
+                return ':' + input;
+            }
+            if (isList(input)) {
+                return List.stringify(new List(':' + input.head, input.tail));
+            }
+            return String(input);
+        });
+        let keyword = definition.macro ? '.macro' : 'to';
+        return [keyword, name].concat(inputs).join(' ');
+    }
+
+    /**
+     * Source code of a procedure definition; exactly as typed
+     * if it came from a "to", or else rebuilt from its text.
+     *
+     * @param {string} name
+     * @returns {string}
+     */
+    procedureSource(name) {
+        let definition = this.definitionOf(name);
+        if (definition.source !== undefined) {
+            return definition.source;
+        }
+        let lines = [this.procedureTitle(name)];
+        for (let line of this.procedureText(name).tail) {
+            let items = Array.from(line, (item) => List.stringify(item));
+            lines.push('  ' + items.join(' '));
+        }
+        lines.push('end');
+        return lines.join('\n');
+    }
+
+    /**
+     * Serialize the user procedures, global variables and property
+     * lists into a versioned document, ready for `JSON.stringify`.
+     *
+     * Procedures are kept as source code and values as JSON
+     * values, with lists as arrays.
+     *
+     * @returns {object}
+     */
+    saveWorkspace() {
+        let procedures = this.userProcedures().map((name) => {
+            return {
+                name: name,
+                source: this.procedureSource(name),
+            };
+        });
+        let variables = [];
+        let globals = this.globalScope.variables();
+        for (let name of Object.keys(globals)) {
+            let variable = {name: name};
+            // Declared with global but never set
+            if (globals[name] !== undefined) {
+                variable.value = encodeValue(globals[name]);
+            }
+            variables.push(variable);
+        }
+        let propertyLists = [];
+        for (let [name, plist] of this.propertyLists) {
+            let properties = [];
+            for (let [prop, value] of plist) {
+                properties.push({
+                    name: prop,
+                    value: encodeValue(value),
+                });
+            }
+            propertyLists.push({
+                name: name,
+                properties: properties,
+            });
+        }
+        return {
+            format: 'logo-workspace',
+            version: workspaceVersion,
+            procedures: procedures,
+            variables: variables,
+            propertyLists: propertyLists,
+        };
+    }
+
+    /**
+     * Define the procedures and set the global variables and
+     * properties from a `saveWorkspace` document, on top of
+     * the current ones.
+     *
+     * @param {object} workspace
+     * @throws {TypeError} if the document isn't a workspace
+     *   this version can read
+     */
+    loadWorkspace(workspace) {
+        if (!workspace || workspace.format !== 'logo-workspace') {
+            throw new TypeError('Not a Logo workspace');
+        }
+        if (!(workspace.version >= 1 && workspace.version <= workspaceVersion)) {
+            throw new TypeError('Unsupported workspace version ' + workspace.version);
+        }
+        for (let {name, source} of workspace.procedures) {
+            let parsed = this.parse(source);
+            if (!this.isDefinition(parsed.head) || !this.handleTo(parsed).isEmpty()) {
+                throw new TypeError('Invalid source for procedure ' + name);
+            }
+        }
+        for (let variable of workspace.variables) {
+            let binding = new Binding();
+            if ('value' in variable) {
+                binding.value = decodeValue(variable.value);
+            }
+            this.globalScope.bind(variable.name, binding);
+        }
+        // Version 1 had no property lists
+        for (let {name, properties} of workspace.propertyLists || []) {
+            for (let property of properties) {
+                builtins.pprop.call(this, name, property.name, decodeValue(property.value));
+            }
+        }
+    }
+
+    workspaceStorage() {
+        if (!this.storage) {
+            throw new Error('No storage for saving workspaces');
+        }
+        return this.storage;
+    }
+
     sourceForNode(listNode) {
         return this.sourceMap.get(listNode);
     }
 
+    /**
+     * Snapshot of the Logo procedure calls in progress,
+     * innermost first. Top-level code has no frame.
+     *
+     * @returns {Array<object>} frames with the procedure `name`,
+     *   its `args`, and the call-site `node` and its `location`
+     */
+    callStack() {
+        let frames = [];
+        for (let i = this.contexts.length - 1; i >= 0; i--) {
+            let context = this.contexts[i];
+            if (context === this.globalContext) {
+                continue;
+            }
+            frames.push({
+                name: context.name,
+                args: context.args,
+                node: context.node,
+                location: context.node ? this.sourceForNode(context.node) : undefined,
+            });
+        }
+        return frames;
+    }
+
+    /**
+     * Create a LogoError located at the given list node.
+     *
+     * @param {List} node - list record holding the offending token
+     * @param {string} code - one of `ErrorCodes`
+     * @param {string} message
+     * @returns {LogoError}
+     */
+    errorAt(node, code, message) {
+        let location = node ? this.sourceForNode(node) : undefined;
+        let token = node ? node.head : undefined;
+        return new LogoError(code, message, location, token);
+    }
+
+    /**
+     * Convert any error thrown during evaluation into a LogoError,
+     * locating it at the given node if it has no location yet.
+     *
+     * @param {*} err
+     * @param {List} [node]
+     * @returns {LogoError}
+     */
+    wrapError(err, node=undefined) {
+        let location = node ? this.sourceForNode(node) : undefined;
+        if (err instanceof LogoError) {
+            if (!err.hasLocation() && location) {
+                err.setLocation(location);
+                err.token = node.head;
+            }
+            return err;
+        }
+        let code = LogoError.codeFor(err);
+        let message = err instanceof Error ? err.message : String(err);
+        return new LogoError(code, message, location, node ? node.head : undefined, err);
+    }
+
     parse(source) {
         let parsed = new ListBuilder();
         let stack = [];
@@ -1188,6 +3828,15 @@ export class Interpreter {
             start = end;
         };
 
+        let fail = (code, message, from=start, to=end) => {
+            let location = {
+                source: source,
+                start: from,
+                end: to,
+            };
+            return new LogoError(code, message, location, source.substring(from, to));
+        };
+
         let parseComment = () => {
             consume(); // skip the ";"
             for(;;) {
@@ -1201,12 +3850,14 @@ export class Interpreter {
         };
 
         let parseList = () => {
+            let open = end;
             consume(); // skip the "["
             push();
+            discard(); // first item starts after the "["
             for(;;) {
                 let char = peek();
                 if (!char) {
-                    throw new SyntaxError("End of input in list");
+                    throw fail(ErrorCodes.UNTERMINATED_LIST, 'End of input in list', open, open + 1);
                 }
                 if (char === ']') {
                     consume();
@@ -1217,6 +3868,44 @@ export class Interpreter {
             }
         };
 
+        let parseArray = () => {
+            let open = end;
+            consume(); // skip the "{"
+            push();
+            discard(); // first item starts after the "{"
+            for(;;) {
+                let char = peek();
+                if (!char) {
+                    throw fail(ErrorCodes.UNTERMINATED_ARRAY, 'End of input in array', open, open + 1);
+                }
+                if (char === '}') {
+                    consume();
+                    let items = Array.from(parsed.list);
+                    let origin = 1;
+                    if (peek() === '@') {
+                        consume();
+                        let digits = '';
+                        if (peek() === '-') {
+                            digits += '-';
+                            consume();
+                        }
+                        while (peek().match(reDigit)) {
+                            digits += peek();
+                            consume();
+                        }
+                        if (!digits.match(/[0-9]$/)) {
+                            throw fail(ErrorCodes.EXPECTED_ORIGIN, 'Expected array origin after @', end - digits.length - 1, end);
+                        }
+                        origin = parseInt(digits, 10);
+                    }
+                    pop();
+                    record(new LogoArray(items, origin));
+                    return;
+                }
+                parseMain();
+            }
+        };
+
         let parseNumber = () => {
             let last = prev();
             let char = peek();
@@ -1252,7 +3941,7 @@ export class Interpreter {
 
                 char = peek();
                 if (!char.match(reDigit)) {
-                    throw new SyntaxError('Expected decimals');
+                    throw fail(ErrorCodes.EXPECTED_DECIMALS, 'Expected decimals');
                 }
                 token += char;
                 consume();
@@ -1306,9 +3995,9 @@ export class Interpreter {
                 }
                 if (char.match(reDelimiters)) {
                     if (token === '"') {
-                        if (char !== '[' && char !== ']') {
+                        if (!'[]{}'.includes(char)) {
                             // First quoted delimiter char doesn't have to be escaped
-                            // unless it's a bracket.
+                            // unless it's a bracket or brace.
                             token += char;
                             consume();
                             continue;
@@ -1323,10 +4012,10 @@ export class Interpreter {
                 }
                 if (char === '\\') {
                     consume();
+                    char = peek();
                     if (!char) {
-                        throw new SyntaxError('End of input at backslash');
+                        throw fail(ErrorCodes.TRAILING_BACKSLASH, 'End of input at backslash');
                     }
-                    char = peek();
                     token += char;
                     consume();
                     continue;
@@ -1339,7 +4028,7 @@ export class Interpreter {
         let parseMain = () => {
             let char = peek();
             if (!char) {
-                throw new SyntaxError('End of input');
+                throw fail(ErrorCodes.END_OF_INPUT, 'End of input');
             }
             if (char === ';') {
                 parseComment();
@@ -1349,6 +4038,16 @@ export class Interpreter {
                 parseList();
                 return;
             }
+            if (char === ']') {
+                throw fail(ErrorCodes.UNEXPECTED_BRACKET, 'Unexpected close bracket', end, end + 1);
+            }
+            if (char === '{') {
+                parseArray();
+                return;
+            }
+            if (char === '}') {
+                throw fail(ErrorCodes.UNEXPECTED_BRACE, 'Unexpected close brace', end, end + 1);
+            }
             if (char.match(reWhitespace)) {
                 consume();
                 discard();
@@ -1388,27 +4087,137 @@ export class Interpreter {
         }
     }
 
+    /**
+     * Perform a procedure call, synchronously when nothing needs
+     * to observe or hold it up. Returns a Promise if the call had
+     * to wait, see `performCallAsync`.
+     *
+     * @param {function} func 
+     * @param {array} args 
+     */
+    performCall(func, args, body=undefined, node=undefined) {
+        let slow = this.oncall || this.onvalue ||
+            this.paused || this.breakFlag || this.stepMode ||
+            this.breakpoints.lines.size || this.breakpoints.procedures.size ||
+            // Let the JS stack unwind now and then during deep recursion
+            this.contexts.length % syncDepth === 0 ||
+            (this.instructionCount % yieldCheckCalls === 0 &&
+                Date.now() - this.lastYield >= this.yieldInterval);
+        if (slow) {
+            return this.performCallAsync(func, args, body, node);
+        }
+        try {
+            this.instructionCount++;
+            this.checkLimits();
+            this.callNode = node;
+            let retval = func.apply(this, args);
+            if (retval instanceof Promise) {
+                let task = this.task;
+                return retval.then((value) => {
+                    this.task = task;
+                    return this.checkOutput(value);
+                }, (e) => {
+                    this.task = task;
+                    throw this.wrapError(e, node);
+                });
+            }
+            return this.checkOutput(retval);
+        } catch (e) {
+            throw this.wrapError(e, node);
+        }
+    }
+
     /**
      * Check the break flag and perform a procedure call.
      * This operation will be observable asynchronously
      * sometime in the future.
      *
+     * Other tasks may run while it waits, so it makes its own
+     * task current again after each wait.
+     *
      * @param {function} func 
      * @param {array} args 
      */
-    async performCall(func, args, body=undefined, node=undefined) {
-        await this.checkBreak();
-        if (this.oncall) {
-            await this.oncall(func, args, body, node);
+    async performCallAsync(func, args, body=undefined, node=undefined) {
+        let task = this.task;
+        let retval;
+        try {
+            if (Date.now() - this.lastYield >= this.yieldInterval) {
+                await this.yieldToEventLoop();
+                this.task = task;
+            }
+            if (this.shouldPause(func, node)) {
+                this.paused = true;
+            }
+            // Register for continue() before reporting the pause,
+            // so onpause handlers may step right away.
+            let waiting = this.checkBreak();
+            if (this.paused) {
+                let pausedAt = Date.now();
+                this.stepMode = null;
+                this.pauseInfo = this.debugState(func, args, node);
+                this.debugTask = task;
+                if (this.onpause) {
+                    this.onpause(this.pauseInfo);
+                }
+                await waiting;
+                this.task = task;
+                // Time spent paused doesn't count against maxTime
+                this.startTime += Date.now() - pausedAt;
+            } else {
+                await waiting;
+                this.task = task;
+            }
+            this.pauseInfo = null;
+            this.debugTask = null;
+            this.instructionCount++;
+            this.checkLimits();
+            if (this.oncall) {
+                await this.oncall(func, args, body, node);
+                this.task = task;
+            }
+            // Picked up synchronously by user procedures
+            // to record their call site.
+            this.callNode = node;
+            let value = await func.apply(this, args);
+            this.task = task;
+            retval = this.checkOutput(value);
+        } catch (e) {
+            this.task = task;
+            throw this.wrapError(e, node);
         }
-        let retval = await func.apply(this, args);
         if (retval !== undefined && this.onvalue) {
             await this.onvalue(retval, body, node);
+            this.task = task;
+        }
+        return retval;
+    }
+
+    /**
+     * Let other tasks, such as UI events and messages asking us
+     * to pause or break, run before carrying on.
+     */
+    async yieldToEventLoop() {
+        if (this.onyield) {
+            this.onyield();
+        }
+        await new Promise((resolve) => {
+            setTimeout(resolve, 0);
+        });
+        this.lastYield = Date.now();
+    }
+
+    checkOutput(retval) {
+        if (isList(retval)) {
+            this.checkListSize(retval);
+        } else if (isArray(retval) && retval.count() > this.limits.maxListSize) {
+            throw new LogoError(ErrorCodes.LIST_SIZE_LIMIT,
+                'Array is too long (limit ' + this.limits.maxListSize + ')');
         }
         return retval;
     }
 
-    async runTemplate(template, args) {
+    runTemplate(template, args) {
         if (isString(template)) {
             // word -> command
             let binding = this.procedureScope.getBinding(template);
@@ -1416,7 +4225,11 @@ export class Interpreter {
                 throw new ReferenceError('Unbound template command ' + template);
             }
             let func = binding.value;
-            return await this.performCall(func, args);
+            let retval = this.performCall(func, args);
+            if (this.isMacro(func)) {
+                return whenReady(retval, (expansion) => this.expandMacro(func, expansion));
+            }
+            return retval;
         }
 
         if (!isList(template)) {
@@ -1426,317 +4239,812 @@ export class Interpreter {
             return undefined;
         }
 
+        if (!isList(template.head)) {
+            // Question-mark form like `[print ? * 2]`, with the
+            // inputs as ?, ?1, ?2 and so on
+            this.templateInputs.push(args);
+            return whenDone(() => this.evaluate(template), () => {
+                this.templateInputs.pop();
+            });
+        }
+
+        // arg names
         let scope = new Scope(this.currentScope());
-        if (isList(template.head)) {
-            // arg names
-            let names = template.head;
-            template = template.tail;
-            let n = 0;
-            for (let name of names) {
-                if (n > args.length) {
-                    throw new ReferenceError('Not enough arguments given to template');
-                }
-                scope.bindValue(name, args[n]);
-                ++n;
+        let names = template.head;
+        template = template.tail;
+        let n = 0;
+        for (let name of names) {
+            if (n > args.length) {
+                throw new ReferenceError('Not enough arguments given to template');
             }
-        } else {
-            // no arg names
-            throw new TypeError('Template must have arguments');
-            // todo: question-mark form?
+            scope.bindValue(name, args[n]);
+            ++n;
         }
         // todo: 'procedure text form'?
 
         this.scopes.push(scope);
-        try {
-            return await this.evaluate(template);
-        } finally {
+        let cleanup = () => {
             this.scopes.pop();
-        }
+        };
+        return whenDone(() => this.evaluate(template), cleanup);
     }
 
-    async evaluate(body) {
+    /**
+     * Compile the instruction starting at the given list record
+     * into a closure taking an evaluation frame with the `body`,
+     * `scope` and `context` to run in. Like `evaluate`, the
+     * closure returns a Promise only if something had to wait.
+     *
+     * Procedures are looked up and inputs counted once, and the
+     * result is cached until any procedure is (re)defined, since
+     * that may change how many inputs a call takes.
+     *
+     * @param {List} start - list record at the start of the instruction
+     * @returns {{run: function, next: List}} - the closure, and the
+     *   list record after the instruction
+     */
+    compile(start) {
+        let version = this.procedureScope.version;
+        let cached = this.compiled.get(start);
+        if (cached && cached.version === version) {
+            return cached;
+        }
+
         let interpreter = this;
-        let scope = this.currentScope();
-        let context = this.currentContext();
-        let iter = body;
+        let iter = start;
+
+        // Compile errors are thrown when the code is reached,
+        // so anything evaluated before them still happens.
+        function fail(node, code, message) {
+            return () => interpreter.errorAt(node, code, message);
+        }
+
+        function thrower(error) {
+            return () => {
+                throw error();
+            };
+        }
+
+        // Call a procedure, running a macro's output in its place
+        function call(func, macro, args, frame, node) {
+            let retval = interpreter.performCall(func, args, frame.body, node);
+            if (macro) {
+                return whenReady(retval, (expansion) => {
+                    return interpreter.expandMacro(func, expansion, node);
+                });
+            }
+            return retval;
+        }
+
+        // Evaluate input closures in order, then pass the
+        // values on to finish(), unless the procedure stops.
+        function compileInputs(name, argCodes, argNodes, finish) {
+            function accept(args, index, value) {
+                if (value === undefined) {
+                    throw interpreter.errorAt(argNodes[index], ErrorCodes.NO_OUTPUT,
+                        'Expected output from arg to ' + name);
+                }
+                args.push(value);
+            }
+
+            function next(frame, args, extra) {
+                for (let index = args.length; index < argCodes.length; index++) {
+                    if (frame.context.stop) {
+                        return undefined;
+                    }
+                    let retval = argCodes[index](frame);
+                    if (retval instanceof Promise) {
+                        return retval.then((value) => {
+                            accept(args, index, value);
+                            return next(frame, args, extra);
+                        });
+                    }
+                    accept(args, index, retval);
+                }
+                if (frame.context.stop) {
+                    return undefined;
+                }
+                return finish(frame, args, extra);
+            }
+
+            return next;
+        }
+
+        function resolveCommand(node, binary=false) {
+            let command = node.head;
 
-        function validateCommand(command, binary=false) {
             // hack for unary minus
             if (!binary && command === '-') {
-                return unaryMinus;
+                return {func: unaryMinus};
             }
 
             if (!isString(command)) {
-                throw new SyntaxError('Invalid command word: ' + command);
+                return {error: fail(node, ErrorCodes.INVALID_COMMAND,
+                    'Invalid command word: ' + command)};
             }
 
             let binding = interpreter.procedureScope.getBinding(command);
             if (!binding) {
-                throw new TypeError('Unbound function: ' + command);
+                let slot = command.match(reTemplateSlot);
+                let question = slot && interpreter.procedureScope.getBinding('?');
+                if (question) {
+                    // ?2 is short for (? 2), in dialects having ?
+                    let n = Number(slot[1]);
+                    return {func: () => question.value.call(interpreter, n)};
+                }
+                return {error: fail(node, ErrorCodes.UNBOUND_FUNCTION,
+                    'Unbound function: ' + command)};
             }
 
-            let func = binding.value;
-            return func;
+            return {func: binding.value};
         }
 
-        async function handleLiteral() {
-            let node = iter;
-            let value = iter.head;
-            iter = iter.tail;
-            if (isList(value) || isBoolean(value) || isNumber(value)) {
+        function compileValue(node, getValue) {
+            return (frame) => {
+                let value = getValue(frame);
                 if (interpreter.onvalue) {
-                    await interpreter.onvalue(value, body, node);
+                    let task = interpreter.task;
+                    return whenReady(interpreter.onvalue(value, frame.body, node), () => {
+                        interpreter.task = task;
+                        return value;
+                    });
                 }
                 return value;
+            };
+        }
+
+        function compileLiteral() {
+            let node = iter;
+            let value = iter.head;
+            iter = iter.tail;
+            if (isList(value) || isArray(value) || isBoolean(value) || isNumber(value)) {
+                return compileValue(node, () => value);
             }
             if (!isString(value)) {
-                throw new SyntaxError('Unexpected token ' + value);
+                return thrower(fail(node, ErrorCodes.UNEXPECTED_TOKEN,
+                    'Unexpected token ' + value));
             }
             let first = value[0];
             let rest = value.substr(1);
             if (first === '"') {
                 // String literal
-                if (interpreter.onvalue) {
-                    await interpreter.onvalue(rest, body, node);
-                }
-                return rest;
+                return compileValue(node, () => rest);
             }
             if (first === ':') {
                 // Variable get
-                let val = scope.get(rest);
-                if (interpreter.onvalue) {
-                    await interpreter.onvalue(val, body, node);
-                }
-                return val;
+                return compileValue(node, (frame) => {
+                    try {
+                        return frame.scope.get(rest);
+                    } catch (e) {
+                        throw interpreter.wrapError(e, node);
+                    }
+                });
             }
-            throw new SyntaxError('Unexpected token ' + value);
+            return thrower(fail(node, ErrorCodes.UNEXPECTED_TOKEN,
+                'Unexpected token ' + value));
         }
 
-        async function handleArg(prio=0) {
-            let retval;
+        function compileArg(prio=0) {
+            let code;
             if (iter.head === '(') {
                 // Variadic command
-                retval = await handleVariadic();
+                code = compileVariadic();
             } else if (isLiteral(iter.head)) {
-                retval = await handleLiteral();
+                code = compileLiteral();
             } else {
-                retval = await handleFixed();
+                code = compileFixed(prio);
             }
             if (isOperator(iter.head)) {
-                retval = await handleOperator(retval, prio);
+                code = compileOperator(code, prio);
             }
-            return retval;
+            return code;
         }
 
-        async function handleOperator(leftValue, oldprio=0) {
-            // ...
+        function compileOperator(leftCode, oldprio=0) {
             let node = iter;
             let op = node.head;
             let prio = precedence[op];
             if (prio < oldprio) {
-                return leftValue;
+                return leftCode;
             }
 
-            let func = validateCommand(op, true);
+            let {func, error} = resolveCommand(node, true);
+            if (error) {
+                return (frame) => {
+                    return whenReady(leftCode(frame), () => {
+                        throw error();
+                    });
+                };
+            }
             iter = iter.tail;
 
-            let rightValue = await handleArg(prio);
+            let rightCode = compileArg(prio);
 
             if (isOperator(iter.head)) {
                 let other = iter.head;
                 let newprio = precedence[other];
                 if (newprio >= prio) {
-                    rightValue = await handleOperator(rightValue, newprio);
+                    rightCode = compileOperator(rightCode, newprio);
+                }
+            }
+
+            function finish(frame, leftValue) {
+                let rightValue = rightCode(frame);
+                if (rightValue instanceof Promise) {
+                    return rightValue.then((value) => {
+                        return interpreter.performCall(func, [leftValue, value], frame.body, node);
+                    });
                 }
+                return interpreter.performCall(func, [leftValue, rightValue], frame.body, node);
             }
 
-            let args = [leftValue, rightValue];
-            let retval = await interpreter.performCall(func, args, body, node);
+            let code = (frame) => {
+                let leftValue = leftCode(frame);
+                if (leftValue instanceof Promise) {
+                    return leftValue.then((value) => finish(frame, value));
+                }
+                return finish(frame, leftValue);
+            };
 
             if (isOperator(iter.head)) {
                 let other = iter.head;
                 let newprio = precedence[other];
                 // chain operators
-                retval = await handleOperator(retval, newprio);
+                code = compileOperator(code, newprio);
             }
-            return retval;
+            return code;
         }
 
-        async function handleVariadic(prio=0) {
+        function compileVariadic() {
             // Variadic procedure call (foo arg1 arg2 ...)
 
             // Consume the "("
+            let open = iter;
             iter = iter.tail;
 
             // Variadic command
             if (iter.isEmpty()) {
-                throw new SyntaxError('End of input expecting variadic command');
+                return thrower(fail(open, ErrorCodes.END_OF_INPUT,
+                    'End of input expecting variadic command'));
             }
 
             let node = iter;
             let command = node.head;
-            let literal;
+            let literalCode;
             let func;
-            let args = [];
+            let macro = false;
             if (isProcedure(command)) {
-                func = validateCommand(command);
+                let resolved = resolveCommand(node);
+                if (resolved.error) {
+                    return thrower(resolved.error);
+                }
+                func = resolved.func;
+                macro = interpreter.isMacro(func);
                 iter = iter.tail;
             } else {
-                literal = await handleArg();
+                literalCode = compileArg();
             }
-            while (!context.stop) {
+
+            let argCodes = [];
+            let argNodes = [];
+            let error;
+            for (;;) {
                 if (iter.isEmpty()) {
-                    throw new SyntaxError('End of input expecting variadic arg');
+                    error = fail(open, ErrorCodes.END_OF_INPUT,
+                        'End of input expecting variadic arg');
+                    break;
                 }
                 if (iter.head === ')') {
                     iter = iter.tail;
-                    if (func) {
-                        if (args.length < func.length) {
-                            throw new SyntaxError('Not enough args to ' + command);
-                        }
-                        return await interpreter.performCall(func, args, body, node);
-                    } else {
-                        if (args.length) {
-                            throw new SyntaxError('Got unexpected args to a literal');
-                        }
-                        return literal;
+                    let range = func && inputRange(func);
+                    if (func && argCodes.length < range.min) {
+                        error = fail(node, ErrorCodes.NOT_ENOUGH_INPUTS,
+                            'Not enough args to ' + command);
                     }
+                    if (func && argCodes.length > range.max) {
+                        error = fail(node, ErrorCodes.TOO_MANY_INPUTS,
+                            'Too many args to ' + command);
+                    }
+                    if (!func && argCodes.length) {
+                        error = fail(node, ErrorCodes.TOO_MANY_INPUTS,
+                            'Got unexpected args to a literal');
+                    }
+                    break;
+                }
+                argNodes.push(iter);
+                argCodes.push(compileArg());
+            }
+
+            let run = compileInputs(command, argCodes, argNodes, (frame, args, literal) => {
+                if (error) {
+                    throw error();
                 }
-                let retval = await handleArg();
-                if (retval === undefined) {
-                    throw new SyntaxError('Expected output from arg to ' + command);
+                if (func) {
+                    return call(func, macro, args, frame, node);
                 }
-                args.push(retval);
+                return literal;
+            });
+
+            if (literalCode) {
+                return (frame) => {
+                    return whenReady(literalCode(frame), (literal) => run(frame, [], literal));
+                };
             }
-            return undefined;
+            return (frame) => run(frame, []);
         }
 
-        async function handleFixed(prio=0) {
+        function compileFixed(prio=0) {
             // Fixed-length procedure call or literal
             let node = iter;
             let command = node.head;
             if (command === ')') {
-                throw new SyntaxError('Unexpected close paren');
+                return thrower(fail(node, ErrorCodes.UNEXPECTED_PAREN,
+                    'Unexpected close paren'));
             }
             // Hack for unary -
-            let func = validateCommand(command);
-            let args = [];
+            let {func, error} = resolveCommand(node);
             iter = iter.tail;
-            while (!context.stop) {
-                if (args.length >= func.length) {
-                    let retval = await interpreter.performCall(func, args, body, node);
-                    return retval;
-                }
+            if (error) {
+                return thrower(error);
+            }
+            let macro = interpreter.isMacro(func);
+
+            let argCodes = [];
+            let argNodes = [];
+            while (argCodes.length < func.length) {
                 if (iter.isEmpty()) {
-                    throw new SyntaxError('End of input expecting fixed arg');
+                    error = fail(node, ErrorCodes.NOT_ENOUGH_INPUTS,
+                        'Not enough inputs to ' + command);
+                    break;
                 }
                 if (iter.head === ')') {
-                    throw new SyntaxError('Unexpected close paren');
-                }
-                let retval = await handleArg(prio);
-                if (retval === undefined) {
-                    throw new SyntaxError('Expected output from arg to ' + func.name);
+                    error = fail(iter, ErrorCodes.UNEXPECTED_PAREN,
+                        'Unexpected close paren');
+                    break;
                 }
-                args.push(retval);
+                argNodes.push(iter);
+                argCodes.push(compileArg(prio));
             }
-            return undefined;
+
+            let run = compileInputs(func.name, argCodes, argNodes, (frame, args) => {
+                if (error) {
+                    throw error();
+                }
+                return call(func, macro, args, frame, node);
+            });
+            return (frame) => run(frame, []);
         }
 
-        async function handleTo() {
-            let node = iter;
+        let compiled = {
+            run: compileArg(),
+            next: iter,
+            version: version,
+        };
+        this.compiled.set(start, compiled);
+        return compiled;
+    }
 
-            // consume "to"
-            iter = iter.tail;
+    /**
+     * Define a procedure from a `to ... end` definition, or a
+     * macro from a `.macro ... end` one, in a list of instructions.
+     *
+     * @param {List} node - list record holding the "to"
+     * @returns {List} the list record after the "end"
+     */
+    handleTo(node) {
+        let macro = this.isKeyword(node.head, '.macro');
+        // consume "to"
+        let iter = node.tail;
+
+        if (iter.isEmpty()) {
+            throw this.errorAt(node, ErrorCodes.BAD_DEFINITION,
+                'End of input expecting procedure name');
+        }
+        let name = iter.head;
+        if (!isString(name)) {
+            throw this.errorAt(iter, ErrorCodes.BAD_DEFINITION,
+                'Procedure name must be a word');
+        }
+        // consume name
+        iter = iter.tail;
+
+        let {inputs, next} = this.collectInputs(node, iter);
+        iter = next;
 
+        // Collect the body instructions
+        let body = new ListBuilder();
+        let source;
+        for(;;) {
             if (iter.isEmpty()) {
-                throw new SyntaxError('End of input expecting procedure name');
+                throw this.errorAt(node, ErrorCodes.BAD_DEFINITION,
+                    'End of input reading procedure definition');
             }
-            let name = iter.head;
-            if (!isString(name)) {
-                throw new SyntaxError('Procedure name must be a word');
+            let instruction = iter.head;
+            if (this.isKeyword(instruction, 'end')) {
+                source = this.sourceBetween(node, iter);
+                // Consume 'end'
+                iter = iter.tail;
+                break;
+            }
+            // Copy the source-map info from the parser
+            body.push(instruction);
+            let map = this.sourceForNode(iter);
+            if (map) {
+                this.sourceMap.set(body.end, map);
             }
-            // consume name
             iter = iter.tail;
+        }
 
-            let args = [];
+        try {
+            this.defineProcedure(name, inputs, body.list, {source, macro});
+        } catch (e) {
+            throw this.errorAt(node, ErrorCodes.BAD_DEFINITION, e.message);
+        }
+        return iter;
+    }
 
-            // Collect any :arg names
-            for (;;) {
-                if (iter.isEmpty()) {
-                    throw new SyntaxError('End of input reading procedure definition');
-                }
-                let arg = iter.head;
-                if (isString(arg) && arg[0] === ':') {
-                    args.push(arg.substr(1));
-                    iter = iter.tail;
-                    continue;
-                }
+    /**
+     * Collect the inputs from the title line of a "to": `:name`
+     * words for required inputs, `[:name default...]` lists for
+     * optional ones, a `[:name]` list for the rest, and finally
+     * maybe a number of inputs to take without parentheses.
+     *
+     * @param {List} node - list record holding the "to"
+     * @param {List} iter - list record after the procedure name
+     * @returns {{inputs: Array<LogoValue>, next: List}} inputs
+     *   for `defineProcedure`, and the list record after them
+     */
+    collectInputs(node, iter) {
+        let inputs = [];
+        let line = this.lineForNode(node);
+        while (!iter.isEmpty()) {
+            let input = iter.head;
+            if (isString(input) && input[0] === ':') {
+                inputs.push(input.substr(1));
+            } else if (isList(input) && isString(input.head) && input.head[0] === ':') {
+                inputs.push(new List(input.head.substr(1), input.tail));
+            } else if (isNumber(input) && this.lineForNode(iter) === line) {
+                inputs.push(input);
+                iter = iter.tail;
+                break;
+            } else {
                 break;
             }
+            iter = iter.tail;
+        }
+        return {inputs: inputs, next: iter};
+    }
 
-            // Collect the body instructions
-            let body = new ListBuilder();
-            for(;;) {
-                if (iter.isEmpty()) {
-                    throw new SyntaxError('End of input reading procedure definition');
-                }
-                let instruction = iter.head;
-                if (instruction === 'end') {
-                    // Consume 'end'
-                    iter = iter.tail;
-                    break;
-                }
-                // Copy the source-map info from the parser
-                body.push(instruction);
-                let map = interpreter.sourceForNode(iter);
-                if (map) {
-                    interpreter.sourceMap.set(body.end, map);
-                }
-                iter = iter.tail;
-            }
+    /**
+     * Original source text from one parsed list node to another,
+     * inclusive, if they came from the same source.
+     *
+     * @param {List} first
+     * @param {List} last
+     * @returns {string|undefined}
+     */
+    sourceBetween(first, last) {
+        let start = this.sourceForNode(first);
+        let end = this.sourceForNode(last);
+        if (!start || !end || start.source !== end.source) {
+            return undefined;
+        }
+        return start.source.substring(start.start, end.end);
+    }
 
-            let proc = interpreter.procedure(name, args, body.list);
-            interpreter.procedureScope.set(name, proc);
-            return;
+    /**
+     * Run the list output by a macro in place of its call, in the
+     * caller's scope and context, so `stop` and `output` in it
+     * work as if written inline.
+     *
+     * @param {function} func - the macro
+     * @param {LogoValue} expansion - what it output
+     * @param {List} [node] - the call
+     * @returns {LogoValue|undefined|Promise} output of the last
+     *   instruction, if any
+     */
+    expandMacro(func, expansion, node=undefined) {
+        if (expansion === undefined) {
+            throw this.errorAt(node, ErrorCodes.NO_OUTPUT,
+                'Macro ' + func.name + ' didn\'t output a list');
+        }
+        if (!isList(expansion)) {
+            throw this.errorAt(node, ErrorCodes.BAD_INPUT,
+                'Macro ' + func.name + ' output ' + List.stringify(expansion) +
+                ' instead of a list');
         }
+        return this.evaluate(expansion);
+    }
 
-        let retval;
-        while (!context.stop) {
+    /**
+     * Run a list of instructions in the current scope and context.
+     *
+     * Runs synchronously as far as it can, returning a Promise
+     * only once some call has had to wait, such as for a hook,
+     * a pause or an async primitive.
+     *
+     * @param {List} body
+     * @returns {LogoValue|undefined|Promise} output of the last
+     *   instruction, if any
+     */
+    evaluate(body) {
+        // Catches loops over empty blocks, which make no calls.
+        this.checkLimits();
+
+        let frame = {
+            body: body,
+            scope: this.currentScope(),
+            context: this.currentContext(),
+        };
+        return this.evaluateFrom(frame, body);
+    }
+
+    evaluateFrom(frame, iter, retval=undefined) {
+        while (!frame.context.stop) {
             if (retval !== undefined) {
                 if (iter.isEmpty()) {
                     return retval;
                 }
-                throw new SyntaxError('Extra instructions after a value-returning expression: ' + iter.head);
+                throw this.errorAt(iter, ErrorCodes.UNUSED_OUTPUT,
+                    'Extra instructions after a value-returning expression: ' + iter.head);
             }
             if (iter.isEmpty()) {
                 break;
             }
-            if (iter.head === 'to') {
-                await handleTo();
+            if (this.isDefinition(iter.head)) {
+                iter = this.handleTo(iter);
                 continue;
             }
-            retval = await handleArg();
+            let instruction = this.compile(iter);
+            iter = instruction.next;
+            retval = instruction.run(frame);
+            if (retval instanceof Promise) {
+                let rest = iter;
+                return retval.then((value) => this.evaluateFrom(frame, rest, value));
+            }
         }
         return retval;
     }
 
-    // Parse and execute a string in the global context
-    async execute(source) {
-        if (this.running) {
-            // @todo allow pushing it onto a task list
-            throw new Error('Logo code is already running');
+    /**
+     * Evaluate each expression in a list in turn, as for the
+     * control list of `for`.
+     *
+     * @param {List} list
+     * @returns {Array<LogoValue>|Promise<Array<LogoValue>>}
+     */
+    evaluateEach(list) {
+        let frame = {
+            body: list,
+            scope: this.currentScope(),
+            context: this.currentContext(),
+        };
+        let values = [];
+        let next = (iter) => {
+            while (!iter.isEmpty()) {
+                let instruction = this.compile(iter);
+                iter = instruction.next;
+                let value = instruction.run(frame);
+                if (value instanceof Promise) {
+                    let rest = iter;
+                    return value.then((val) => {
+                        values.push(val);
+                        return next(rest);
+                    });
+                }
+                values.push(value);
+            }
+            return values;
+        };
+        return next(list);
+    }
+
+    /**
+     * Parse and execute a string in the global context, as a task.
+     *
+     * @param {string} source
+     * @param {object} [options]
+     * @param {function} [options.onvalue] - called with the output
+     *   of the last instruction, if any, as for echoing results
+     *   in a console; otherwise output at top level is an error
+     */
+    async execute(source, {onvalue}={}) {
+        let parsed;
+        try {
+            parsed = this.parse(source);
+        } catch (e) {
+            throw this.localizeError(e);
         }
-        let parsed = this.parse(source);
-        this.running = true;
+        // Run alongside any code that's already running
+        let task = this.mainTask.running ? this.createTask() : this.mainTask;
+        await this.runTask(task, () => {
+            return whenReady(this.evaluate(parsed), (retval) => {
+                if (retval !== undefined && onvalue) {
+                    onvalue(retval);
+                } else if (retval !== undefined) {
+                    throw this.errorAt(parsed.end(), ErrorCodes.UNUSED_OUTPUT,
+                        'Unhandled output value ' + String(retval));
+                }
+            });
+        });
+    }
+
+    /**
+     * Whether any task is running.
+     *
+     * @returns {boolean}
+     */
+    get running() {
+        return this.tasks.size > 0;
+    }
+
+    createTask() {
+        return new Task(this, this.nextTaskId++);
+    }
+
+    /**
+     * Run code as the given task until it's done. A `toplevel`
+     * ends it quietly.
+     *
+     * @param {Task} task
+     * @param {function} run - evaluates the task's code
+     */
+    async runTask(task, run) {
+        this.addTask(task);
+        this.task = task;
+        this.debugLine = undefined;
+        this.instructionCount = 0;
+        this.startTime = Date.now();
+        this.lastYield = this.startTime;
         try {
-            let retval = await this.evaluate(parsed);
-            if (retval !== undefined) {
-                throw new SyntaxError('Unhandled output value ' + String(retval));
+            await run();
+            this.task = task;
+        } catch (e) {
+            this.task = task;
+            if (!(e instanceof LogoThrow && e.tag === 'toplevel')) {
+                throw this.localizeError(e);
             }
         } finally {
             // Clean up flags
             this.breakFlag = false;
-            this.running = false;
+            task.running = false;
+            this.tasks.delete(task);
+            this.task = this.mainTask;
+            if (!this.running) {
+                this.stepMode = null;
+                this.pauseInfo = null;
+                this.debugTask = null;
+                if (this.onrunning) {
+                    this.onrunning(false);
+                }
+            }
+        }
+    }
+
+    /**
+     * Mark a task as running, telling `onrunning` if it's the
+     * only one.
+     *
+     * @param {Task} task
+     */
+    addTask(task) {
+        let wasRunning = this.running;
+        task.running = true;
+        this.tasks.add(task);
+        if (!wasRunning && this.onrunning) {
+            this.onrunning(true);
+        }
+    }
+
+    /**
+     * Start a new task, which runs once the current one next
+     * waits. Its errors, other than breaks, go to `ontaskerror`.
+     *
+     * @param {function} run - evaluates the task's code
+     * @returns {Task}
+     */
+    spawn(run) {
+        let task = this.createTask();
+        this.addTask(task);
+        task.resumeWith(() => {
+            this.runTask(task, run).catch((err) => {
+                if (err.code !== ErrorCodes.BREAK && this.ontaskerror) {
+                    this.ontaskerror(err, task);
+                }
+            });
+        });
+        return task;
+    }
+
+    /**
+     * Take a keyboard or mouse event from the page, updating what
+     * `keyboardvalue`, `mousepos` and `buttonp` output and starting
+     * a task for its handler block, if any. Events arriving while
+     * the handler's last task is still running are not handled,
+     * so slow handlers don't pile up behind a dragging mouse.
+     *
+     * @param {object} event - one of:
+     *   - `{type: 'key', key}` with the character typed, or the
+     *     name of another key like 'ArrowUp' or 'Enter'
+     *   - `{type: 'mousedown'}`, `{type: 'mousemove'}` or
+     *     `{type: 'mouseup'}`, with `x` and `y` in turtle
+     *     coordinates; see `TurtleGraphics#oninput`
+     */
+    dispatchEvent(event) {
+        let kind;
+        switch (event.type) {
+            case 'key':
+                this.keyboardValue = String(event.key);
+                for (let reader of this.keyReaders) {
+                    reader(this.keyboardValue);
+                }
+                this.keyReaders.clear();
+                kind = 'key';
+                break;
+            case 'mousedown':
+                this.mouse = {x: event.x, y: event.y, down: true};
+                kind = 'click';
+                break;
+            case 'mousemove':
+                this.mouse = {x: event.x, y: event.y, down: this.mouse.down};
+                kind = this.mouse.down ? 'drag' : undefined;
+                break;
+            case 'mouseup':
+                this.mouse = {x: event.x, y: event.y, down: false};
+                break;
+            default:
+                throw new TypeError('Unknown event type ' + event.type);
+        }
+
+        let block = kind && this.eventHandlers[kind];
+        let last = kind && this.eventTasks[kind];
+        if (block && !(last && last.running)) {
+            this.eventTasks[kind] = this.spawn(() => this.evaluate(block));
+        }
+    }
+
+    /**
+     * Throw if the running code has used up its instruction
+     * or time budget.
+     */
+    checkLimits() {
+        let limits = this.limits;
+        if (this.instructionCount > limits.maxInstructions) {
+            throw new LogoError(ErrorCodes.INSTRUCTION_LIMIT,
+                'Too many instructions (limit ' + limits.maxInstructions + ')');
+        }
+        if (limits.maxTime !== Infinity && Date.now() - this.startTime > limits.maxTime) {
+            throw new LogoError(ErrorCodes.TIME_LIMIT,
+                'Ran too long (limit ' + limits.maxTime + 'ms)');
+        }
+    }
+
+    /**
+     * Throw if the list is longer than allowed.
+     * Lengths are cached, so building up a list one item
+     * at a time with `fput` stays cheap.
+     *
+     * @param {List} list
+     */
+    checkListSize(list) {
+        let max = this.limits.maxListSize;
+        if (max === Infinity) {
+            return;
+        }
+        let sizes = this.listSizes;
+        let uncounted = [];
+        let cursor = list;
+        while (!cursor.isEmpty() && !sizes.has(cursor)) {
+            uncounted.push(cursor);
+            cursor = cursor.tail;
+        }
+        let size = cursor.isEmpty() ? 0 : sizes.get(cursor);
+        while (uncounted.length) {
+            sizes.set(uncounted.pop(), ++size);
+        }
+        if (size > max) {
+            throw new LogoError(ErrorCodes.LIST_SIZE_LIMIT,
+                'List is too long (limit ' + max + ')');
         }
     }
 
@@ -1745,16 +5053,17 @@ export class Interpreter {
      * Async, as may delay during a pause.
      */
     checkBreak() {
+        let task = this.task;
         return new Promise((resolve, reject) => {
-            if (this.breakFlag) {
-                throw new Error('Break requested');
+            if (task.breakFlag) {
+                throw new LogoError(ErrorCodes.BREAK, 'Break requested');
             }
-            if (this.paused) {
-                this.oncontinue = () => {
+            if (task.paused) {
+                task.oncontinue = () => {
                     resolve();
                 };
-                this.onbreak = (reason) => {
-                    this.oncontinue = null;
+                task.onbreak = (reason) => {
+                    task.oncontinue = null;
                     reject(reason);
                 };
             } else {
@@ -1763,52 +5072,221 @@ export class Interpreter {
         });
     }
 
+    /**
+     * Pause all running tasks.
+     */
     pause() {
         if (!this.running) {
             throw new Error('Cannot pause when not running');
         }
-        if (this.paused) {
+        let tasks = Array.from(this.tasks).filter((task) => !task.paused);
+        if (!tasks.length) {
             throw new Error('Already paused');
         }
-        this.paused = true;
+        for (let task of tasks) {
+            task.pause();
+        }
     }
 
+    /**
+     * Continue all paused tasks.
+     */
     continue() {
         if (!this.running) {
             throw new Error('Cannot continue when not running');
         }
-        if (!this.paused) {
+        let tasks = Array.from(this.tasks).filter((task) => task.paused);
+        if (!tasks.length) {
             throw new Error('Cannot continue when not paused');
         }
-        this.paused = false;
-        this.oncontinue();
+        for (let task of tasks) {
+            task.continue();
+        }
+    }
+
+    /**
+     * Pause before any call made on the given source line.
+     * Execution stops once each time it enters the line.
+     *
+     * @param {number} line - 1-based line number
+     */
+    setBreakpoint(line) {
+        this.breakpoints.lines.add(line);
+    }
+
+    clearBreakpoint(line) {
+        this.breakpoints.lines.delete(line);
     }
 
     /**
-     * Request a user break of any currently running code.
-     * Will throw an exception within the interpreter loop.
+     * Pause before every call to the named procedure.
+     *
+     * @param {string} name
      */
-    break() {
-        if (!this.running) {
-            throw new Error('Cannot break when not running');
+    setProcedureBreakpoint(name) {
+        this.breakpoints.procedures.add(name);
+    }
+
+    clearProcedureBreakpoint(name) {
+        this.breakpoints.procedures.delete(name);
+    }
+
+    clearBreakpoints() {
+        this.breakpoints.lines.clear();
+        this.breakpoints.procedures.clear();
+    }
+
+    /**
+     * Resume from a pause, stopping again at the very next call.
+     */
+    stepInto() {
+        this.step('into');
+    }
+
+    /**
+     * Resume from a pause, stopping at the next call made from
+     * the current procedure, skipping over deeper calls.
+     */
+    stepOver() {
+        this.step('over');
+    }
+
+    /**
+     * Resume from a pause, stopping at the next call made
+     * after the current procedure has returned.
+     */
+    stepOut() {
+        this.step('out');
+    }
+
+    step(mode) {
+        let task = this.debugTask;
+        if (!task || !task.paused) {
+            throw new Error('Cannot step when not paused');
         }
-        if (this.breakFlag) {
-            throw new Error('Already breaking');
+        this.stepMode = mode;
+        this.stepDepth = task.contexts.length;
+        task.continue();
+    }
+
+    /**
+     * Decide whether the debugger should pause before a call.
+     *
+     * @param {function} func
+     * @param {List} [node]
+     * @returns {boolean}
+     */
+    shouldPause(func, node) {
+        // Track the line on every call, pausing or not, so a line
+        // breakpoint fires once each time its line is reached even
+        // after stepping through it.
+        let newLine = false;
+        if (this.breakpoints.lines.size && node) {
+            let line = this.lineForNode(node);
+            if (line !== undefined && line !== this.debugLine) {
+                this.debugLine = line;
+                newLine = true;
+            }
         }
 
-        // Interpreter loop will check this flag and break
-        // out with an internal exception.
-        this.breakFlag = true;
+        let depth = this.contexts.length;
+        switch (this.stepMode) {
+            case 'into':
+                return true;
+            case 'over':
+                if (depth <= this.stepDepth) {
+                    return true;
+                }
+                break;
+            case 'out':
+                if (depth < this.stepDepth) {
+                    return true;
+                }
+                break;
+        }
+        if (this.breakpoints.procedures.has(func.name)) {
+            return true;
+        }
+        return newLine && this.breakpoints.lines.has(this.debugLine);
+    }
 
-        if (this.onbreak) {
-            // Async operations may set this callback
-            // so we can interrupt them, such as clearing
-            // a long-running timeout.
-            this.onbreak(new Error('Break requested'));
+    /**
+     * Look up the 1-based source line of a parsed list node.
+     *
+     * @param {List} node
+     * @returns {number|undefined}
+     */
+    lineForNode(node) {
+        let map = this.sourceForNode(node);
+        if (!map) {
+            return undefined;
+        }
+        if (map.line === undefined) {
+            // Cache on the shared source map record
+            map.line = resolvePosition(map.source, map.start).line;
         }
+        return map.line;
+    }
 
-        if (this.paused) {
-            this.continue();
+    /**
+     * Describe the current execution point for debuggers.
+     *
+     * @param {function} func - procedure about to be called
+     * @param {Array<LogoValue>} args - its input values
+     * @param {List} [node] - list record of the call
+     * @returns {object}
+     */
+    debugState(func, args, node) {
+        let location = node ? this.sourceForNode(node) : undefined;
+        let position = location ? resolvePosition(location.source, location.start) : {};
+        let scopes = [];
+        for (let scope = this.currentScope(); scope; scope = scope.parent) {
+            scopes.push(scope.variables());
+        }
+        return {
+            procedure: func.name,
+            args: args,
+            node: node,
+            location: location,
+            line: position.line,
+            column: position.column,
+            callStack: this.callStack(),
+            scopes: scopes,
+        };
+    }
+
+    /**
+     * Break all running tasks.
+     */
+    break() {
+        if (!this.running) {
+            throw new Error('Cannot break when not running');
+        }
+        let tasks = Array.from(this.tasks).filter((task) => !task.breakFlag);
+        if (!tasks.length) {
+            throw new Error('Already breaking');
+        }
+        for (let task of tasks) {
+            task.break();
         }
     }
 }
+
+// Per-task state, which the interpreter reads and writes
+// through to the current task
+const taskFields = [
+    'globalContext', 'scopes', 'contexts', 'repeatCounts',
+    'lastError', 'templateInputs', 'breakFlag', 'paused',
+    'onbreak', 'oncontinue', 'instructionCount', 'startTime',
+];
+for (let field of taskFields) {
+    Object.defineProperty(Interpreter.prototype, field, {
+        get() {
+            return this.task[field];
+        },
+        set(value) {
+            this.task[field] = value;
+        },
+        configurable: true,
+    });
+}
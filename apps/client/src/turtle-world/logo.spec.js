@@ -0,0 +1,1655 @@
+import {
+  ErrorCodes,
+  Interpreter,
+  LogoError,
+  LogoThrow,
+  resolvePosition,
+} from './logo';
+import { FakeClock } from './clock';
+import { getLocale, locales } from './locales';
+import { MemoryStorage } from './storage';
+import { TurtleRecorder, turtleCommands } from './turtle';
+
+function createInterpreter(options) {
+  const logo = new Interpreter(options);
+  logo.output = [];
+  logo.onprint = async (str) => {
+    logo.output.push(str);
+  };
+  return logo;
+}
+
+async function run(source, logo = createInterpreter()) {
+  await logo.execute(source);
+  return logo.output;
+}
+
+async function settle(logo) {
+  while (logo.running) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+async function runError(source, logo = createInterpreter()) {
+  try {
+    await logo.execute(source);
+  } catch (e) {
+    return e;
+  }
+  throw new Error('Expected an error from: ' + source);
+}
+
+describe('Interpreter', () => {
+  it('should print values', async () => {
+    expect(await run('print sum 1 2')).toEqual(['3']);
+  });
+
+  describe('errors', () => {
+    it('should resolve offsets to lines and columns', () => {
+      expect(resolvePosition('ab\ncd', 4)).toEqual({ line: 2, column: 2 });
+      expect(resolvePosition('ab\r\ncd', 4)).toEqual({ line: 2, column: 1 });
+    });
+
+    it('should locate unterminated lists at the open bracket', async () => {
+      const error = await runError('print 1\nrepeat 4 [forward 10');
+      expect(error).toBeInstanceOf(LogoError);
+      expect(error.code).toBe(ErrorCodes.UNTERMINATED_LIST);
+      expect(error.token).toBe('[');
+      expect(error.line).toBe(2);
+      expect(error.column).toBe(10);
+    });
+
+    it('should reject a stray close bracket', async () => {
+      const error = await runError('print 1 ]');
+      expect(error.code).toBe(ErrorCodes.UNEXPECTED_BRACKET);
+      expect(error.column).toBe(9);
+    });
+
+    it('should report bad decimals with the partial token', async () => {
+      const error = await runError('print 1.x');
+      expect(error.code).toBe(ErrorCodes.EXPECTED_DECIMALS);
+      expect(error.token).toBe('1.');
+    });
+
+    it('should locate unbound functions', async () => {
+      const error = await runError('print 1\n  frobnicate 2');
+      expect(error.code).toBe(ErrorCodes.UNBOUND_FUNCTION);
+      expect(error.token).toBe('frobnicate');
+      expect(error.line).toBe(2);
+      expect(error.column).toBe(3);
+      expect(error.endLine).toBe(2);
+      expect(error.endColumn).toBe(13);
+      expect(String(error)).toBe(
+        'LogoError: Unbound function: frobnicate at line 2, column 3'
+      );
+    });
+
+    it('should locate unexpected close parens', async () => {
+      const error = await runError('print 1 )');
+      expect(error.code).toBe(ErrorCodes.UNEXPECTED_PAREN);
+      expect(error.column).toBe(9);
+    });
+
+    it('should locate undeclared variables', async () => {
+      const error = await runError('print :nothing');
+      expect(error.code).toBe(ErrorCodes.UNDECLARED_VARIABLE);
+      expect(error.token).toBe(':nothing');
+    });
+
+    it('should wrap builtin errors at the failing call', async () => {
+      const error = await runError('to bad\n  print first []\nend\nbad');
+      expect(error.code).toBe(ErrorCodes.BAD_INPUT);
+      expect(error.message).toBe('empty list');
+      expect(error.cause).toBeInstanceOf(TypeError);
+      expect(error.line).toBe(2);
+      expect(error.token).toBe('first');
+    });
+  });
+
+  describe('call stack', () => {
+    const source = [
+      'to square :size',
+      '  repeat 4 [forward :size right 90]',
+      'end',
+      'to spiral :n',
+      '  if :n > 2 [stop]',
+      '  square :n * 10',
+      '  spiral :n + 1',
+      'end',
+      'spiral 1',
+    ].join('\n');
+
+    it('should trace errors through nested procedures', async () => {
+      const error = await runError(source);
+      expect(error.code).toBe(ErrorCodes.UNBOUND_FUNCTION);
+      expect(error.line).toBe(2);
+      expect(error.column).toBe(13);
+      expect(error.callStack.map((frame) => frame.name)).toEqual([
+        'square',
+        'spiral',
+      ]);
+      expect(error.callStack[0].args).toEqual([10]);
+      expect(error.trace()).toEqual([
+        'in square called from spiral at line 6',
+        'in spiral called at line 9',
+      ]);
+      expect(String(error)).toBe(
+        'LogoError: Unbound function: forward at line 2, column 13\n' +
+          '  in square called from spiral at line 6\n' +
+          '  in spiral called at line 9'
+      );
+    });
+
+    it('should not trace top-level errors', async () => {
+      const error = await runError('print first []');
+      expect(error.trace()).toEqual([]);
+    });
+
+    it('should unwind the stack after an error', async () => {
+      const logo = createInterpreter();
+      await runError(source, logo);
+      expect(logo.callStack()).toEqual([]);
+      expect(logo.contexts).toEqual([logo.globalContext]);
+    });
+  });
+
+  describe('debugger', () => {
+    const source = [
+      'to square :size', // 1
+      '  forward :size', // 2
+      '  right 90', // 3
+      'end', // 4
+      'make "n 10', // 5
+      'square :n', // 6
+      'print :n', // 7
+    ].join('\n');
+
+    function createDebugged(onpause) {
+      const logo = createInterpreter();
+      logo.moves = [];
+      logo.procedureScope.bindValues({
+        forward: async (dist) => {
+          logo.moves.push(dist);
+        },
+        right: async (deg) => {
+          logo.moves.push(deg);
+        },
+      });
+      logo.stops = [];
+      logo.onpause = (info) => {
+        logo.stops.push(info);
+        onpause(logo, info);
+      };
+      return logo;
+    }
+
+    it('should pause on a line breakpoint and report state', async () => {
+      const logo = createDebugged((logo) => logo.continue());
+      logo.setBreakpoint(2);
+      await run(source, logo);
+      expect(logo.stops.length).toBe(1);
+      const info = logo.stops[0];
+      expect(info.procedure).toBe('forward');
+      expect(info.args).toEqual([10]);
+      expect(info.line).toBe(2);
+      expect(info.column).toBe(3);
+      expect(info.callStack.map((frame) => frame.name)).toEqual(['square']);
+      expect(info.scopes).toEqual([{ size: 10 }, { n: 10 }]);
+      expect(logo.output).toEqual(['10']);
+    });
+
+    it('should pause on a procedure breakpoint', async () => {
+      const logo = createDebugged((logo) => logo.continue());
+      logo.setProcedureBreakpoint('square');
+      await run(source, logo);
+      expect(logo.stops.map((info) => info.line)).toEqual([6]);
+    });
+
+    it('should clear breakpoints', async () => {
+      const logo = createDebugged((logo) => logo.continue());
+      logo.setBreakpoint(2);
+      logo.setProcedureBreakpoint('square');
+      logo.clearBreakpoint(2);
+      logo.clearProcedureBreakpoint('square');
+      await run(source, logo);
+      expect(logo.stops).toEqual([]);
+    });
+
+    it('should step into procedures', async () => {
+      const logo = createDebugged((logo) => logo.stepInto());
+      logo.setBreakpoint(6);
+      await run(source, logo);
+      expect(logo.stops.map((info) => info.procedure)).toEqual([
+        'square',
+        'forward',
+        'right',
+        'print',
+      ]);
+    });
+
+    it('should step over procedures', async () => {
+      const logo = createDebugged((logo) => logo.stepOver());
+      logo.setBreakpoint(6);
+      await run(source, logo);
+      expect(logo.stops.map((info) => info.procedure)).toEqual([
+        'square',
+        'print',
+      ]);
+    });
+
+    it('should hit a line breakpoint again after stepping', async () => {
+      const logo = createDebugged((logo) => logo.stepOver());
+      logo.setBreakpoint(2);
+      await run(source.replace('print :n', 'square 5'), logo);
+      expect(
+        logo.stops.map((info) => info.procedure + '@' + info.line)
+      ).toEqual(['forward@2', 'right@3', 'square@7', 'forward@2', 'right@3']);
+    });
+
+    it('should step out of procedures', async () => {
+      const logo = createDebugged((logo) => logo.stepOut());
+      logo.setBreakpoint(2);
+      await run(source, logo);
+      expect(logo.stops.map((info) => info.procedure)).toEqual([
+        'forward',
+        'print',
+      ]);
+    });
+
+    it('should report manual pauses', async () => {
+      const logo = createDebugged((logo) => logo.continue());
+      const done = run(source, logo);
+      logo.pause();
+      await done;
+      expect(logo.stops.length).toBe(1);
+      expect(logo.pauseInfo).toBe(null);
+    });
+  });
+
+  describe('limits', () => {
+    it('should stop after too many instructions', async () => {
+      const logo = new Interpreter({ limits: { maxInstructions: 100 } });
+      const error = await runError('forever [make "x 1]', logo);
+      expect(error.code).toBe(ErrorCodes.INSTRUCTION_LIMIT);
+      expect(logo.running).toBe(false);
+    });
+
+    it('should reset the instruction count for each run', async () => {
+      const logo = createInterpreter();
+      logo.limits.maxInstructions = 10;
+      await run('repeat 5 [make "x 1]', logo);
+      await run('repeat 5 [make "x 1]', logo);
+    });
+
+    it('should stop after too much time', async () => {
+      const logo = new Interpreter({ limits: { maxTime: 20 } });
+      const error = await runError('forever []', logo);
+      expect(error.code).toBe(ErrorCodes.TIME_LIMIT);
+    });
+
+    it('should stop runaway recursion', async () => {
+      const logo = new Interpreter({ limits: { maxDepth: 50 } });
+      const error = await runError(
+        'to down :n\n  down :n + 1\nend\ndown 1',
+        logo
+      );
+      expect(error.code).toBe(ErrorCodes.DEPTH_LIMIT);
+      expect(error.callStack.length).toBe(50);
+      expect(error.callStack[0].args).toEqual([50]);
+    });
+
+    it('should stop unbounded recursion by default', async () => {
+      const error = await runError('to r :n\n  r :n + 1\nend\nr 1');
+      expect(error.code).toBe(ErrorCodes.DEPTH_LIMIT);
+    });
+
+    it('should not count waiting against the time limit', async () => {
+      const logo = createInterpreter({ limits: { maxTime: 20 } });
+      const lines = ['a', 'b'];
+      logo.onread = () =>
+        new Promise((resolve) => setTimeout(() => resolve(lines.shift()), 30));
+      await run('wait 3 print readword print readword', logo);
+      expect(logo.output).toEqual(['a', 'b']);
+    });
+
+    it('should stop lists from growing too long', async () => {
+      const logo = new Interpreter({ limits: { maxListSize: 10 } });
+      const error = await runError(
+        'make "l [] forever [make "l fput 1 :l]',
+        logo
+      );
+      expect(error.code).toBe(ErrorCodes.LIST_SIZE_LIMIT);
+      expect(logo.globalScope.get('l').count()).toBe(10);
+    });
+  });
+
+  describe('compiled code', () => {
+    it('should reuse compiled instructions', async () => {
+      const logo = createInterpreter();
+      await run('make "code [print 1 + 1] run :code', logo);
+      const code = logo.globalScope.get('code');
+      const compiled = logo.compiled.get(code);
+      expect(compiled).toBeDefined();
+      await run('run :code make "x 1 run :code', logo);
+      expect(logo.compiled.get(code)).toBe(compiled);
+      expect(logo.output).toEqual(['2', '2', '2']);
+    });
+
+    it('should recompile when a procedure is redefined', async () => {
+      const logo = createInterpreter();
+      await run('to g\n  output 1\nend\nto f\n  print g\nend\nf', logo);
+      await run('to g :x\n  output :x\nend', logo);
+      const error = await runError('f', logo);
+      expect(error.code).toBe(ErrorCodes.NOT_ENOUGH_INPUTS);
+      await run('to f\n  print g 2\nend\nf', logo);
+      expect(logo.output).toEqual(['1', '2']);
+    });
+
+    it('should still call the hooks', async () => {
+      const logo = createInterpreter();
+      const calls = [];
+      const values = [];
+      logo.oncall = async (func, args, body, node) => {
+        calls.push([func.name, args, node.head]);
+      };
+      logo.onvalue = async (value, body, node) => {
+        values.push([value, node.head]);
+      };
+      await run('repeat 2 [print 1 + 2]', logo);
+      expect(calls).toEqual([
+        ['repeat', [2, expect.anything()], 'repeat'],
+        ['+', [1, 2], '+'],
+        ['print', [3], 'print'],
+        ['+', [1, 2], '+'],
+        ['print', [3], 'print'],
+      ]);
+      expect(values).toEqual([
+        [2, 2],
+        [expect.anything(), expect.anything()],
+        [1, 1],
+        [2, 2],
+        [3, '+'],
+        [1, 1],
+        [2, 2],
+        [3, '+'],
+      ]);
+    });
+  });
+
+  describe('synchronous evaluation', () => {
+    it('should run without waiting when nothing is async', () => {
+      const logo = createInterpreter();
+      const done = logo.execute('make "x 0 repeat 100 [make "x :x + 1]');
+      expect(logo.globalScope.get('x')).toBe(100);
+      return done;
+    });
+
+    it('should wait for hooks and async primitives', async () => {
+      const logo = createInterpreter();
+      logo.procedureScope.bindValues({
+        later: async (x) => x,
+      });
+      const done = logo.execute('make "x later 1 make "y 2');
+      expect(logo.globalScope.getBinding('y')).toBeUndefined();
+      await done;
+      expect(logo.globalScope.get('x')).toBe(1);
+      expect(logo.globalScope.get('y')).toBe(2);
+    });
+
+    it('should ignore values returned by a sync onprint', async () => {
+      const logo = new Interpreter();
+      const out = [];
+      logo.onprint = (str) => out.push(str);
+      await logo.execute('print 1 + 2 print 1 show [a] print 2');
+      expect(out).toEqual(['3', '1', '[a]', '2']);
+    });
+
+    it('should yield to the event loop so break works', async () => {
+      const logo = createInterpreter();
+      logo.yieldInterval = 5;
+      logo.onyield = jest.fn();
+      setTimeout(() => logo.break(), 20);
+      const error = await runError('forever [make "x 1]', logo);
+      expect(error.code).toBe(ErrorCodes.BREAK);
+      expect(logo.onyield).toHaveBeenCalled();
+    });
+
+    it('should not overflow the stack in deep recursion', async () => {
+      const logo = createInterpreter();
+      await run(
+        'to down :n\n  if :n < 1 [output 0]\n  output down :n - 1\nend\nprint down 5000',
+        logo
+      );
+      expect(logo.output).toEqual(['0']);
+    });
+  });
+
+  describe('workspace', () => {
+    const square =
+      'to square :size\n  ; four sides\n  repeat 4 [fd :size rt 90]\nend';
+
+    it('should print procedures as typed', async () => {
+      const logo = createInterpreter();
+      await run(square + '\npo "square', logo);
+      expect(logo.output).toEqual([square]);
+    });
+
+    it('should output procedure text by line', async () => {
+      const logo = createInterpreter();
+      await run(square + '\nshow text "square', logo);
+      expect(logo.output).toEqual(['[[size] [repeat 4 [fd :size rt 90]]]']);
+    });
+
+    it('should define procedures from text', async () => {
+      const logo = createInterpreter();
+      await run(
+        'define "twice [[n] [output :n * 2]]\nprint twice 4\npo "twice',
+        logo
+      );
+      expect(logo.output).toEqual(['8', 'to twice :n\n  output :n * 2\nend']);
+      expect(
+        await logo.execute('define "bad [print 1]').catch((e) => e)
+      ).toBeInstanceOf(LogoError);
+    });
+
+    it('should copy definitions', async () => {
+      const logo = createInterpreter();
+      await run(
+        'to twice :n\n  output :n * 2\nend\ncopydef "double "twice\ncopydef "say "print\nsay double 3\npots',
+        logo
+      );
+      expect(logo.output).toEqual(['6', 'to twice :n\nto double :n']);
+    });
+
+    it('should not replace primitives', async () => {
+      const logo = createInterpreter();
+      for (const source of [
+        'copydef "print "show',
+        'define "print [[x] [show :x]]',
+        '.defmacro "print [[x] [output []]]',
+      ]) {
+        expect((await runError(source, logo)).message).toBe(
+          'print is a primitive'
+        );
+      }
+      expect(await run('print "still', logo)).toEqual(['still']);
+    });
+
+    it('should list and erase procedures and names', async () => {
+      const logo = createInterpreter();
+      await run(
+        'to f\nend\nto g\nend\nmake "x 1\nmake "s "hi\nmake "l [1 [2]]\n' +
+          'show procedures show names pons\nerase "f er [[] [x]]\nshow procedures show names',
+        logo
+      );
+      expect(logo.output).toEqual([
+        '[f g]',
+        '[[] [x s l]]',
+        'make "x 1\nmake "s "hi\nmake "l [1 [2]]',
+        '[g]',
+        '[[] [s l]]',
+      ]);
+      await run('erall show procedures show names', logo);
+      expect(logo.output.slice(5)).toEqual(['[]', '[[] []]']);
+    });
+
+    it('should tell primitives from user procedures', async () => {
+      const logo = createInterpreter();
+      await run(
+        'to f\nend\nshow (list primitivep "print definedp "print primitivep "f definedp "f definedp "nope)',
+        logo
+      );
+      expect(logo.output).toEqual(['[true false false true false]']);
+      const error = await runError('erase "print', logo);
+      expect(error.code).toBe(ErrorCodes.BAD_INPUT);
+    });
+  });
+
+  describe('saved workspaces', () => {
+    const source = [
+      'to twice :n',
+      '  output :n * 2 ; double it',
+      'end',
+      'define "half [[n] [output :n / 2]]',
+      'make "n 21',
+      'make "word "hello',
+      'make "list [1 [two "three] true]',
+      'global "unset',
+    ].join('\n');
+
+    it('should save procedures as source and variables as JSON', async () => {
+      const logo = createInterpreter();
+      await run(source, logo);
+      expect(JSON.parse(JSON.stringify(logo.saveWorkspace()))).toEqual({
+        format: 'logo-workspace',
+        version: 2,
+        procedures: [
+          {
+            name: 'twice',
+            source: 'to twice :n\n  output :n * 2 ; double it\nend',
+          },
+          { name: 'half', source: 'to half :n\n  output :n / 2\nend' },
+        ],
+        variables: [
+          { name: 'n', value: 21 },
+          { name: 'word', value: 'hello' },
+          { name: 'list', value: [1, ['two', '"three'], 'true'] },
+          { name: 'unset' },
+        ],
+        propertyLists: [],
+      });
+    });
+
+    it('should load a saved workspace', async () => {
+      const saved = createInterpreter();
+      await run(source, saved);
+      const json = JSON.stringify(saved.saveWorkspace());
+      const logo = createInterpreter();
+      logo.loadWorkspace(JSON.parse(json));
+      await run('print twice :n print half 5 show :list po "twice', logo);
+      expect(logo.output).toEqual([
+        '42',
+        '2.5',
+        '[1 [two "three] true]',
+        'to twice :n\n  output :n * 2 ; double it\nend',
+      ]);
+      expect(logo.globalScope.getBinding('unset').value).toBeUndefined();
+    });
+
+    it('should refuse unknown documents', () => {
+      const logo = createInterpreter();
+      expect(() => logo.loadWorkspace({ format: 'other' })).toThrow(
+        'Not a Logo workspace'
+      );
+      expect(() =>
+        logo.loadWorkspace({ format: 'logo-workspace', version: 3 })
+      ).toThrow('Unsupported workspace version 3');
+    });
+
+    it('should save and load through the storage adapter', async () => {
+      const storage = new MemoryStorage();
+      const logo = new Interpreter({ storage });
+      await logo.execute(source + '\nsave "homework');
+      expect(storage.load('homework')).toEqual(
+        JSON.stringify(logo.saveWorkspace())
+      );
+      const other = createInterpreter();
+      other.storage = storage;
+      await run('load "homework print twice 4', other);
+      expect(other.output).toEqual(['8']);
+      const error = await runError('load "nothing', other);
+      expect(error.message).toBe('No saved workspace named nothing');
+    });
+
+    it('should need a storage adapter to save', async () => {
+      const error = await runError('save "homework', createInterpreter());
+      expect(error.message).toBe('No storage for saving workspaces');
+    });
+  });
+
+  describe('property lists', () => {
+    it('should put, get and remove properties', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'pprop "bob "age 10',
+          'pprop "bob "likes [cats [big dogs]]',
+          'pprop "bob 1 "one',
+          'show gprop "bob "likes',
+          'show gprop "bob "height',
+          'show gprop "bob "1',
+          'show gprop "bob 1',
+          'show plist "bob',
+          'print equalp plist "bob [age 10 likes [cats [big dogs]] 1 one]',
+          'remprop "bob "likes',
+          'show plist "bob',
+          'show plists',
+          'remprop "bob "age remprop "bob 1',
+          'show plists',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual([
+        '[cats [big dogs]]',
+        '[]',
+        '[]',
+        'one',
+        '[age 10 likes [cats [big dogs]] 1 one]',
+        'true',
+        '[age 10 1 one]',
+        '[[] [] [bob]]',
+        '[[] [] []]',
+      ]);
+    });
+
+    it('should ignore the case of names in case-insensitive dialects', async () => {
+      const logo = createInterpreter({ dialect: 'ucblogo' });
+      await run(
+        [
+          'pprop "Bob "Age 10',
+          'print gprop "bob "age',
+          'pprop "BOB "AGE 11',
+          'show plist "bob',
+          'remprop "bob "age',
+          'show plists',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual(['10', '[age 11]', '[[] [] []]']);
+    });
+
+    it('should show and erase property lists with the workspace', async () => {
+      const logo = createInterpreter();
+      await run(
+        'pprop "bob "age 10 pprop "bob "name "Bob pprop "sue "pets [cat]\n' +
+          'popls po [[] [] [sue]] erase [[] [] [bob]] show plists\n' +
+          'erall show plists',
+        logo
+      );
+      expect(logo.output).toEqual([
+        'pprop "bob "age 10\npprop "bob "name "Bob\npprop "sue "pets [cat]',
+        'pprop "sue "pets [cat]',
+        '[[] [] [sue]]',
+        '[[] [] []]',
+      ]);
+    });
+
+    it('should save and load property lists', async () => {
+      const saved = createInterpreter();
+      await run('pprop "bob "likes [cats dogs]', saved);
+      const workspace = saved.saveWorkspace();
+      expect(workspace.propertyLists).toEqual([
+        {
+          name: 'bob',
+          properties: [{ name: 'likes', value: ['cats', 'dogs'] }],
+        },
+      ]);
+      const logo = createInterpreter();
+      logo.loadWorkspace(JSON.parse(JSON.stringify(workspace)));
+      await run('show gprop "bob "likes', logo);
+      expect(logo.output).toEqual(['[cats dogs]']);
+    });
+  });
+
+  describe('arrays', () => {
+    it('should parse and show array literals', async () => {
+      const logo = createInterpreter();
+      await run(
+        'show {1 [two] {3}} show {a b}@0 show {}@-2 print {x "y}',
+        logo
+      );
+      expect(logo.output).toEqual([
+        '{1 [two] {3}}',
+        '{a b}@0',
+        '{}@-2',
+        '{x "y}',
+      ]);
+    });
+
+    it('should report malformed array literals', async () => {
+      expect((await runError('show {1 2')).code).toBe(
+        ErrorCodes.UNTERMINATED_ARRAY
+      );
+      expect((await runError('show 1}')).code).toBe(
+        ErrorCodes.UNEXPECTED_BRACE
+      );
+      const error = await runError('show {1 2}@x');
+      expect(error.code).toBe(ErrorCodes.EXPECTED_ORIGIN);
+      expect(error.column).toBe(11);
+    });
+
+    it('should update arrays in place', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'make "a (array 3 0)',
+          'setitem 0 :a "x',
+          'make "b :a',
+          'setitem 2 :b [y]',
+          'show :a',
+          'show (list count :a first :a item 2 :a arrayp :a arrayp [])',
+          'show equalp :a :b',
+          'show equalp :a {x [] [y]}@0',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual([
+        '{x [] [y]}@0',
+        '[3 0 [y] true false]',
+        'true',
+        'false',
+      ]);
+    });
+
+    it('should check array indices', async () => {
+      const error = await runError('make "a array 2 show item 3 :a');
+      expect(error.code).toBe(ErrorCodes.BAD_INPUT);
+      expect(error.message).toBe('index 3 is out of range');
+      expect((await runError('make "a array 2 setitem 1 :a :a')).message).toBe(
+        'an array cannot contain itself'
+      );
+    });
+
+    it('should handle multi-dimensional arrays', async () => {
+      const logo = createInterpreter();
+      await run(
+        'make "grid mdarray [2 3]\nmdsetitem [2 3] :grid "x\nshow :grid\nshow mditem [2 3] :grid',
+        logo
+      );
+      expect(logo.output).toEqual(['{{[] [] []} {[] [] x}}', 'x']);
+    });
+
+    it('should convert between lists and arrays', async () => {
+      const logo = createInterpreter();
+      await run(
+        'show listtoarray [a [b]] show (listtoarray [a] 0) show arraytolist {a {b}}',
+        logo
+      );
+      expect(logo.output).toEqual(['{a [b]}', '{a}@0', '[a {b}]']);
+    });
+
+    it('should save arrays in workspaces', async () => {
+      const saved = createInterpreter();
+      await run('make "a {1 [2] {3}@0}@0', saved);
+      const logo = createInterpreter();
+      logo.loadWorkspace(JSON.parse(JSON.stringify(saved.saveWorkspace())));
+      await run('show :a', logo);
+      expect(logo.output).toEqual(['{1 [2] {3}@0}@0']);
+    });
+  });
+
+  describe('math', () => {
+    async function evaluate(expression) {
+      const logo = createInterpreter();
+      await run('make "result ' + expression, logo);
+      return logo.globalScope.get('result');
+    }
+
+    it('should do arithmetic', async () => {
+      expect(await evaluate('sqrt 16')).toBe(4);
+      expect(await evaluate('power 2 10')).toBe(1024);
+      expect(await evaluate('exp 0')).toBe(1);
+      expect(await evaluate('ln exp 2')).toBe(2);
+      expect(await evaluate('log10 1000')).toBe(3);
+      expect(await evaluate('int -3.7')).toBe(-3);
+      expect(await evaluate('round 2.5')).toBe(3);
+      expect(await evaluate('round -2.5')).toBe(-3);
+      expect(await evaluate('abs -4')).toBe(4);
+      expect(await evaluate('minus 4')).toBe(-4);
+      expect(await evaluate('remainder -7 3')).toBe(-1);
+      expect(await evaluate('modulo -7 3')).toBe(2);
+      expect(await evaluate('sum "2 3')).toBe(5);
+    });
+
+    it('should do trigonometry in degrees and radians', async () => {
+      expect(await evaluate('sin 30')).toBeCloseTo(0.5);
+      expect(await evaluate('cos 60')).toBeCloseTo(0.5);
+      expect(await evaluate('tan 45')).toBeCloseTo(1);
+      expect(await evaluate('arctan 1')).toBeCloseTo(45);
+      expect(await evaluate('(arctan -1 0)')).toBeCloseTo(180);
+      expect(await evaluate('radsin 0')).toBe(0);
+      expect(await evaluate('radarctan 1')).toBeCloseTo(Math.PI / 4);
+    });
+
+    it('should do bitwise operations', async () => {
+      expect(await evaluate('bitand 12 10')).toBe(8);
+      expect(await evaluate('(bitor 1 2 4)')).toBe(7);
+      expect(await evaluate('bitxor 12 10')).toBe(6);
+      expect(await evaluate('bitnot 0')).toBe(-1);
+      expect(await evaluate('ashift -16 -2')).toBe(-4);
+      expect(await evaluate('lshift 1 4')).toBe(16);
+      expect(await evaluate('lshift -16 -28')).toBe(15);
+    });
+
+    it('should give reproducible random numbers after rerandom', async () => {
+      const logo = createInterpreter();
+      const source =
+        '(rerandom 42) make "ten random 10 make "die (random 1 6) ' +
+        'show (list :ten :die pick [a b c])';
+      await run(source + ' ' + source, logo);
+      expect(logo.output[0]).toBe(logo.output[1]);
+      const ten = logo.globalScope.get('ten');
+      const die = logo.globalScope.get('die');
+      expect(ten).toBeGreaterThanOrEqual(0);
+      expect(ten).toBeLessThan(10);
+      expect(die).toBeGreaterThanOrEqual(1);
+      expect(die).toBeLessThanOrEqual(6);
+    });
+
+    it('should explain bad inputs', async () => {
+      const error = await runError('print sqrt "four');
+      expect(error.code).toBe(ErrorCodes.BAD_INPUT);
+      expect(error.message).toBe("sqrt doesn't like four as input");
+      expect((await runError('print 1 / 0')).message).toBe(
+        "/ doesn't like 0 as input"
+      );
+      expect((await runError('print sqrt -1')).message).toBe(
+        "sqrt doesn't like -1 as input"
+      );
+      expect((await runError('print random 0')).message).toBe(
+        "random doesn't like 0 as input"
+      );
+      expect((await runError('print bitand 1.5 1')).message).toBe(
+        "bitand doesn't like 1.5 as input"
+      );
+    });
+  });
+
+  describe('words', () => {
+    it('should treat characters outside the BMP as one character', async () => {
+      const logo = createInterpreter();
+      await run(
+        'make "w "a😀b show (list count :w first :w last :w item 2 :w butfirst :w butlast :w)',
+        logo
+      );
+      expect(logo.output).toEqual(['[3 a b 😀 😀b a😀]']);
+    });
+
+    it('should treat numbers as words', async () => {
+      const logo = createInterpreter();
+      await run('show (list count 12321 first 123 last 123 item 2 123)', logo);
+      expect(logo.output).toEqual(['[5 1 3 2]']);
+    });
+
+    it('should convert characters and case', async () => {
+      const logo = createInterpreter();
+      await run(
+        'show (list char 65 ascii "A char 128512 ascii "😀 uppercase "MixEd lowercase "MixEd)',
+        logo
+      );
+      expect(logo.output).toEqual(['[A 65 😀 128512 MIXED mixed]']);
+      expect((await runError('print ascii "ab')).message).toBe(
+        "ascii doesn't like ab as input"
+      );
+    });
+
+    it('should find members and substrings', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'show member "c "abcd',
+          'show member "x "abcd',
+          'show member [b] [a [b] c]',
+          'show (list memberp "c "abcd memberp "x "abcd memberp 2 [1 2] memberp 3 [1 2] memberp 2 {1 2})',
+          'show (list substringp "bc "abcd substringp "cb "abcd substringp "b [a b])',
+          'show (list beforep "apple "banana beforep "b "a)',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual([
+        'cd',
+        '',
+        '[[b] c]',
+        '[true false true false true]',
+        '[true false false]',
+        '[true false]',
+      ]);
+    });
+
+    it('should make unique words', async () => {
+      const logo = createInterpreter();
+      await run('show (list gensym gensym)', logo);
+      expect(logo.output).toEqual(['[g1 g2]']);
+    });
+
+    it('should format numbers to a fixed width', async () => {
+      const logo = createInterpreter();
+      await run('print word "| form 3.14159 8 2 print form 2 1 0', logo);
+      expect(logo.output).toEqual(['|    3.14', '2']);
+    });
+  });
+
+  describe('control structures', () => {
+    it('should run either branch of ifelse', async () => {
+      const logo = createInterpreter();
+      await run(
+        'ifelse 1 < 2 [print "yes] [print "no] print ifelse 1 > 2 [1] [2]',
+        logo
+      );
+      expect(logo.output).toEqual(['yes', '2']);
+    });
+
+    it('should loop while and until a condition holds', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'make "i 0 while [:i < 3] [make "i :i + 1] print :i',
+          'until [:i > 5] [make "i :i + 1] print :i',
+          'do.while [make "i :i + 1] "false print :i',
+          'do.until [make "i :i + 1] [:i > 9] print :i',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual(['3', '6', '7', '10']);
+    });
+
+    it('should count with for', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'make "seen [] for [i 1 10 2] [make "seen lput :i :seen] show :seen',
+          'make "seen [] make "n 3 for [i :n 1] [make "seen lput :i :seen] show :seen',
+          'make "seen [] for [i 1 3 -1] [make "seen lput :i :seen] show :seen',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual(['[1 3 5 7 9]', '[3 2 1]', '[]']);
+      expect((await runError('for [i 1 3] [] print :i')).code).toBe(
+        ErrorCodes.UNDECLARED_VARIABLE
+      );
+    });
+
+    it('should give the innermost repeat count', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'make "seen (list repcount 0)',
+          'repeat 2 [repeat 2 [make "seen lput # :seen] make "seen lput repcount :seen]',
+          'show :seen',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual(['[-1 0 1 2 1 1 2 2]']);
+    });
+
+    it('should test once for iftrue and iffalse', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'to check :n',
+          '  test :n > 0',
+          '  iftrue [print "positive]',
+          '  iffalse [print "negative]',
+          'end',
+          'check 1 check -1',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual(['positive', 'negative']);
+      expect((await runError('iftrue [print 1]')).message).toBe(
+        'iftrue without test'
+      );
+    });
+
+    it('should pick the first matching case or cond clause', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'to name :n',
+          '  output case :n [[[1] "one] [[2 3] "few] [else "many]]',
+          'end',
+          'to sign :n',
+          '  output cond [[[:n < 0] "negative] [[equalp :n 0] "zero] [else "positive]]',
+          'end',
+          'show (list name 1 name 3 name 7 sign -2 sign 0 sign 2)',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual(['[one few many negative zero positive]']);
+    });
+
+    it('should stop and output from inside nested loops', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'to find.first :limit',
+          '  for [i 1 10] [repeat 3 [if :i * repcount > :limit [output :i]]]',
+          '  output 0',
+          'end',
+          'to count.up',
+          '  make "k 0',
+          '  while "true [make "k :k + 1 if :k > 2 [output :k]]',
+          'end',
+          'to count.down',
+          '  forever [do.until [print repcount stop] "false]',
+          'end',
+          'print find.first 5',
+          'print count.up',
+          'count.down',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual(['2', '3', '1']);
+    });
+  });
+
+  describe('catch and throw', () => {
+    it('should output the thrown value from the matching catch', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'to search :items',
+          '  foreach :items [[x] if :x > 2 [(throw "found :x)]]',
+          '  print "none',
+          'end',
+          'print catch "found [search [1 5 3]]',
+          'catch "outer [catch "inner [throw "outer] print "skipped] print "after',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual(['5', 'after']);
+      expect(logo.scopes).toEqual([logo.globalScope]);
+      expect(logo.contexts).toEqual([logo.globalContext]);
+    });
+
+    it('should report throws without a catch', async () => {
+      const error = await runError('to f\n  throw "nowhere\nend\nf');
+      expect(error).toBeInstanceOf(LogoThrow);
+      expect(error.code).toBe(ErrorCodes.THROW);
+      expect(error.message).toBe("Can't find catch tag for nowhere");
+      expect(error.line).toBe(2);
+    });
+
+    it('should catch errors and describe them with error', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'to inner',
+          '  print first []',
+          'end',
+          'to outer',
+          '  repeat 3 [for [i 1 2] [inner]]',
+          'end',
+          'show error',
+          'catch "error [outer]',
+          'show error',
+          'show error',
+          'catch "error [(throw "error [my own])]',
+          'show error',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual([
+        '[]',
+        '[bad-input empty list inner 2]',
+        '[]',
+        '[runtime my own [] 11]',
+      ]);
+      expect(logo.scopes).toEqual([logo.globalScope]);
+      expect(logo.contexts).toEqual([logo.globalContext]);
+      expect(logo.repeatCounts).toEqual([]);
+    });
+
+    it('should not catch breaks or resource limits', async () => {
+      const logo = createInterpreter();
+      logo.limits.maxInstructions = 100;
+      const error = await runError('catch "error [forever [ignore 1]]', logo);
+      expect(error.code).toBe(ErrorCodes.INSTRUCTION_LIMIT);
+    });
+
+    it('should end the run quietly on toplevel', async () => {
+      const logo = createInterpreter();
+      await run('to f\n  print 1\n  toplevel\n  print 2\nend\nf print 3', logo);
+      expect(logo.output).toEqual(['1']);
+      expect(logo.contexts).toEqual([logo.globalContext]);
+      await run('print 4', logo);
+      expect(logo.output).toEqual(['1', '4']);
+    });
+  });
+
+  describe('higher-order procedures', () => {
+    it('should run question-mark templates', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'show map [1 2 3] [? * 2]',
+          'show (map [1 2] [a b] [list ?2 ?1])',
+          'show (apply [list ? ?rest] [1 2 3])',
+          'show map [1 2] [map [a b] [word ? ?]]',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual([
+        '[2 4 6]',
+        '[[a 1] [b 2]]',
+        '[1 [2 3]]',
+        '[[aa bb] [aa bb]]',
+      ]);
+      expect((await runError('print ?')).message).toBe(
+        '? can only be used in a template'
+      );
+    });
+
+    it('should filter, find and reduce', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'show filter [1 2 3 4] [[x] :x > 2]',
+          'show filter "banana [equalp ? "a]',
+          'show find [1 2 3 4] [? > 2]',
+          'show find [1 2] [? > 2]',
+          'show reduce [1 2 3 4] "sum',
+          'show reduce [a b c] [(list ?1 ?2)]',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual([
+        '[3 4]',
+        'aaa',
+        '3',
+        '[]',
+        '10',
+        '[a [b c]]',
+      ]);
+    });
+
+    it('should combine inputs with crossmap', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'show crossmap [[1 2] [a b]] [word ?1 ?2]',
+          'show (crossmap [x y] [1 2] [word ?1 ?2])',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual(['[1a 1b 2a 2b]', '[x1 x2 y1 y2]']);
+    });
+
+    it('should cascade and transfer', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'show cascade 5 1 [? * 2]',
+          'show cascade [? > 100] 1 [? * 3]',
+          'show transfer [] [1 2 3] [fput ?1 ?2]',
+          'show transfer [[in out] :in > 2] [1 2 3 4] [[in out] lput :in :out]',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual(['32', '243', '[3 2 1]', '[1 2]']);
+    });
+
+    it('should sort by value or with a template', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'show sort [10 9 apple 2 banana 100]',
+          'show (sort [3 1 2] [?1 > ?2])',
+          'show (sort [[b 1] [a 2] [c 1]] [(last ?1) < (last ?2)])',
+          'show sort "logo',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual([
+        '[2 9 10 100 apple banana]',
+        '[3 2 1]',
+        '[[b 1] [c 1] [a 2]]',
+        'gloo',
+      ]);
+    });
+
+    it('should make sequences', async () => {
+      const logo = createInterpreter();
+      await run('show iseq 3 7 show iseq 3 1 show rseq 0 1 5', logo);
+      expect(logo.output).toEqual([
+        '[3 4 5 6 7]',
+        '[3 2 1]',
+        '[0 0.25 0.5 0.75 1]',
+      ]);
+    });
+  });
+
+  describe('procedure inputs', () => {
+    const poly = [
+      'to poly :sides [:size :sides * 10] [:colors]',
+      '  show (list :sides :size :colors)',
+      'end',
+    ].join('\n');
+
+    it('should fill in optional and rest inputs', async () => {
+      const logo = createInterpreter();
+      await run(
+        [poly, 'poly 5', '(poly 5 100)', '(poly 5 100 "red "blue)'].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual([
+        '[5 50 []]',
+        '[5 100 []]',
+        '[5 100 [red blue]]',
+      ]);
+    });
+
+    it('should take a default number of inputs without parentheses', async () => {
+      const logo = createInterpreter();
+      await run(
+        'to greet :name [:greeting "hello] 2\n  print word :greeting :name\nend\ngreet "ann "hi (greet "bob)',
+        logo
+      );
+      expect(logo.output).toEqual(['hiann', 'hellobob']);
+    });
+
+    it('should check the number of inputs in parentheses', async () => {
+      const logo = createInterpreter();
+      await run(poly, logo);
+      expect((await runError('(poly)', logo)).code).toBe(
+        ErrorCodes.NOT_ENOUGH_INPUTS
+      );
+      await run('to pair :a [:b 2]\nend', logo);
+      expect((await runError('(pair 1 2 3)', logo)).code).toBe(
+        ErrorCodes.TOO_MANY_INPUTS
+      );
+    });
+
+    it('should reject inputs out of order', async () => {
+      const error = await runError('to f [:a 1] :b\nend');
+      expect(error.code).toBe(ErrorCodes.BAD_DEFINITION);
+      expect(error.message).toBe(
+        'required input b must come before optional inputs'
+      );
+    });
+
+    it('should keep optional inputs in procedure text', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'define "box [[side [width :side] [rest] 1] [print :width]]',
+          'show text "box',
+          'po "box',
+          'box 3',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual([
+        '[[side [width :side] [rest] 1] [print :width]]',
+        'to box :side [:width :side] [:rest] 1\n  print :width\nend',
+        '3',
+      ]);
+    });
+  });
+
+  describe('tasks', () => {
+    it('should run code while other code is running', async () => {
+      const logo = createInterpreter();
+      const background = logo.execute('repeat 3 [print "bg wait 1]');
+      await run('print "fg', logo);
+      await background;
+      expect(logo.output).toEqual(['bg', 'fg', 'bg', 'bg']);
+      expect(logo.running).toBe(false);
+    });
+
+    it('should give launched tasks their own stacks', async () => {
+      const logo = createInterpreter();
+      await run(
+        [
+          'to count.up :name',
+          '  repeat 2 [print word :name repcount wait 1]',
+          'end',
+          'launch [count.up "a]',
+          'launch [count.up "b]',
+          'print "started',
+        ].join('\n'),
+        logo
+      );
+      await settle(logo);
+      expect(logo.output).toEqual(['started', 'a1', 'b1', 'a2', 'b2']);
+      expect(logo.contexts).toEqual([logo.globalContext]);
+    });
+
+    it('should run every and after until stopall', async () => {
+      const logo = createInterpreter();
+      await run(
+        'make "ticks 0\n' +
+          'every 10 [make "ticks :ticks + 1]\n' +
+          'after 50 [print :ticks > 0 stopall print "unreachable]',
+        logo
+      );
+      expect(logo.running).toBe(true);
+      await settle(logo);
+      expect(logo.output).toEqual(['true']);
+    });
+
+    it('should break and pause single tasks', async () => {
+      const logo = createInterpreter();
+      await run('launch [forever [wait 1]] launch [forever [wait 1]]', logo);
+      const [first, second] = logo.tasks;
+      first.pause();
+      expect(() => first.pause()).toThrow('Already paused');
+      first.break();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(Array.from(logo.tasks)).toEqual([second]);
+      logo.break();
+      await settle(logo);
+    });
+
+    it('should report errors in background tasks', async () => {
+      const logo = createInterpreter();
+      const errors = [];
+      logo.ontaskerror = (err) => errors.push(err);
+      await run('launch [print first []]', logo);
+      await settle(logo);
+      expect(errors.length).toBe(1);
+      expect(errors[0].code).toBe(ErrorCodes.BAD_INPUT);
+    });
+  });
+
+  describe('console input', () => {
+    it('should read words and lists', async () => {
+      const logo = createInterpreter();
+      const lines = ['Ada Lovelace', 'forward [1 2] 3'];
+      logo.onread = async () => lines.shift();
+      await run('print readword show item 2 readlist', logo);
+      expect(logo.output).toEqual(['Ada Lovelace', '[1 2]']);
+    });
+
+    it('should fail to read without a console', async () => {
+      const error = await runError('print readword');
+      expect(error.message).toBe('No console to read from');
+    });
+
+    it('should stop reading on break', async () => {
+      const logo = createInterpreter();
+      logo.onread = () => new Promise(() => undefined);
+      const done = logo.execute('print readlist');
+      setTimeout(() => logo.break(), 10);
+      const error = await done.catch((e) => e);
+      expect(error.code).toBe(ErrorCodes.BREAK);
+    });
+
+    it('should pass top level outputs to onvalue', async () => {
+      const logo = createInterpreter();
+      const values = [];
+      await logo.execute('print 1 sum 2 3', {
+        onvalue: (value) => values.push(value),
+      });
+      expect(values).toEqual([5]);
+      expect(logo.output).toEqual(['1']);
+    });
+  });
+
+  describe('clock', () => {
+    async function nextFrames(clock, frames) {
+      for (let i = 0; i < frames; i++) {
+        clock.advance(1000 / 60);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+
+    it('should count time with timer and seconds', async () => {
+      const clock = new FakeClock(5000);
+      const logo = createInterpreter({ clock: clock });
+      clock.advance(250);
+      await run('print timer print seconds resettimer print timer', logo);
+      expect(logo.output).toEqual(['250', '0.25', '0']);
+    });
+
+    it('should give the time and date as lists', async () => {
+      const clock = new FakeClock(new Date(2024, 2, 5, 14, 30, 15).getTime());
+      const logo = createInterpreter({ clock: clock });
+      await run('show time show date', logo);
+      expect(logo.output).toEqual(['[14 30 15]', '[2024 3 5]']);
+    });
+
+    it('should wait on the clock', async () => {
+      const clock = new FakeClock();
+      const logo = createInterpreter({ clock: clock });
+      const done = logo.execute('wait 60 print timer');
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(logo.output).toEqual([]);
+      clock.advance(1000);
+      await done;
+      expect(logo.output).toEqual(['1000']);
+    });
+
+    it('should wait for animation frames', async () => {
+      const clock = new FakeClock(10);
+      const logo = createInterpreter({ clock: clock });
+      const done = logo.execute('repeat 3 [waitframe] print "drawn');
+      await nextFrames(clock, 2);
+      expect(logo.output).toEqual([]);
+      await nextFrames(clock, 1);
+      await done;
+      expect(logo.output).toEqual(['drawn']);
+    });
+
+    it('should cancel waiting on break', async () => {
+      const clock = new FakeClock();
+      const logo = createInterpreter({ clock: clock });
+      const done = logo.execute('forever [waitframe]');
+      await nextFrames(clock, 2);
+      logo.break();
+      expect((await done.catch((e) => e)).code).toBe(ErrorCodes.BREAK);
+      expect(clock.timers).toEqual([]);
+    });
+  });
+
+  describe('keyboard and mouse', () => {
+    it('should run handlers as tasks with the event state', async () => {
+      const logo = createInterpreter();
+      await run(
+        'onkey [print keyboardvalue]\n' +
+          'onclick [show mousepos]\n' +
+          'ondrag [show list buttonp mousepos]',
+        logo
+      );
+      logo.dispatchEvent({ type: 'key', key: 'a' });
+      await settle(logo);
+      logo.dispatchEvent({ type: 'mousemove', x: 5, y: 5 });
+      logo.dispatchEvent({ type: 'mousedown', x: 10, y: -20 });
+      await settle(logo);
+      logo.dispatchEvent({ type: 'mousemove', x: 11, y: -21 });
+      await settle(logo);
+      logo.dispatchEvent({ type: 'mouseup', x: 11, y: -21 });
+      expect(logo.output).toEqual(['a', '[10 -20]', '[true [11 -21]]']);
+      expect(await run('show buttonp', logo)).toContain('false');
+    });
+
+    it('should skip events while their handler is still running', async () => {
+      const logo = createInterpreter();
+      await run('make "n 0 onkey [make "n :n + 1 wait 3]', logo);
+      logo.dispatchEvent({ type: 'key', key: 'a' });
+      logo.dispatchEvent({ type: 'key', key: 'b' });
+      await settle(logo);
+      logo.dispatchEvent({ type: 'key', key: 'c' });
+      await settle(logo);
+      await run('onkey [] print :n', logo);
+      logo.dispatchEvent({ type: 'key', key: 'd' });
+      expect(logo.running).toBe(false);
+      expect(logo.output).toEqual(['2']);
+    });
+
+    it('should wait for a key in readchar', async () => {
+      const logo = createInterpreter();
+      const done = logo.execute('print readchar');
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      logo.dispatchEvent({ type: 'key', key: 'ArrowUp' });
+      await done;
+      expect(logo.output).toEqual(['ArrowUp']);
+
+      const broken = logo.execute('print readchar');
+      setTimeout(() => logo.break(), 10);
+      expect((await broken.catch((e) => e)).code).toBe(ErrorCodes.BREAK);
+      expect(logo.keyReaders.size).toBe(0);
+    });
+  });
+
+  describe('macros', () => {
+    it('should run the output in place of the call', async () => {
+      const source = [
+        '.macro mywhile :cond :body',
+        '  if not run :cond [output []]',
+        '  output (list "run :body "mywhile :cond :body)',
+        'end',
+        'make "i 0',
+        'mywhile [:i < 3] [make "i :i + 1 print :i]',
+        'print macrop "mywhile',
+        'print macrop "print',
+      ].join('\n');
+      expect(await run(source)).toEqual(['1', '2', '3', 'true', 'false']);
+    });
+
+    it('should stop and output from the caller', async () => {
+      const source = [
+        '.macro early :value',
+        '  output list "output :value',
+        'end',
+        '.defmacro "bail [[] [output [stop]]]',
+        'to f',
+        '  early 5',
+        '  print "unreachable',
+        'end',
+        'to g',
+        '  bail',
+        '  print "unreachable',
+        'end',
+        'print f',
+        'g',
+        'print macrop "early',
+      ].join('\n');
+      expect(await run(source)).toEqual(['5', 'true']);
+    });
+
+    it('should print macro definitions', async () => {
+      const logo = createInterpreter();
+      await run(
+        '.macro twice :body\n  output se :body :body\nend\n' +
+          '.defmacro "thrice [[body] [output (se :body :body :body)]]\n' +
+          'twice [print "hi] pots po "thrice',
+        logo
+      );
+      expect(logo.output).toEqual([
+        'hi',
+        'hi',
+        '.macro twice :body\n.macro thrice :body',
+        '.macro thrice :body\n  output ( se :body :body :body )\nend',
+      ]);
+    });
+
+    it('should require a list output', async () => {
+      const error = await runError('.macro three\n  output 3\nend\nthree');
+      expect(error.code).toBe(ErrorCodes.BAD_INPUT);
+      expect(error.message).toBe('Macro three output 3 instead of a list');
+      expect(error.line).toBe(4);
+    });
+  });
+
+  describe('dialects', () => {
+    function createTurtle(dialect) {
+      const logo = createInterpreter({ dialect: dialect });
+      logo.moves = [];
+      logo.procedureScope.bindValues({
+        forward: (dist) => {
+          logo.moves.push('forward ' + dist);
+        },
+        right: (deg) => {
+          logo.moves.push('right ' + deg);
+        },
+      });
+      return logo;
+    }
+
+    it('should be case-sensitive by default', async () => {
+      expect((await runError('PRINT 1')).code).toBe(
+        ErrorCodes.UNBOUND_FUNCTION
+      );
+      expect((await runError('fd 10', createTurtle())).code).toBe(
+        ErrorCodes.UNBOUND_FUNCTION
+      );
+    });
+
+    it('should ignore case and take abbreviations in UCBLogo', async () => {
+      const logo = createTurtle('ucblogo');
+      await run(
+        [
+          'TO Square :Size',
+          '  REPEAT 2 [FD :SIZE RT 90]',
+          'END',
+          'square 10',
+          'Make "Total 1 pr :TOTAL',
+          'CATCH "Done [THROW "DONE]',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.moves).toEqual([
+        'forward 10',
+        'right 90',
+        'forward 10',
+        'right 90',
+      ]);
+      expect(logo.output).toEqual(['1']);
+      expect(logo.userProcedures()).toEqual(['square']);
+    });
+
+    it('should format numbers for the dialect', async () => {
+      expect(await run('print 10 / 3')).toEqual(['3.3333333333333335']);
+      expect(
+        await run('print 10 / 3', createInterpreter({ dialect: 'ucblogo' }))
+      ).toEqual(['3.33333333333333']);
+      expect(
+        await run(
+          'show list 10 / 3 1234567',
+          createInterpreter({ dialect: 'atari' })
+        )
+      ).toEqual(['[3.33333 1234567]']);
+    });
+
+    it('should leave out primitives the dialect lacks', async () => {
+      const logo = createInterpreter({ dialect: 'apple' });
+      expect((await runError('show array 3', logo)).code).toBe(
+        ErrorCodes.UNBOUND_FUNCTION
+      );
+      expect(await runError('show map [1 2] [?1]', logo)).toMatchObject({
+        code: ErrorCodes.UNBOUND_FUNCTION,
+        token: '?1',
+      });
+      expect(() => new Interpreter({ dialect: 'logowriter' })).toThrow(
+        'Unknown Logo dialect logowriter'
+      );
+    });
+  });
+
+  describe('locales', () => {
+    it('should take localized names and keywords', async () => {
+      const logo = createInterpreter({ locale: locales.fr });
+      await run(
+        [
+          'pour double :n',
+          '  retourne :n * 2',
+          'fin',
+          'répète 2 [écris double compteur]',
+          'print case 3 [[[1 2] "petit] [sinon "grand]]',
+        ].join('\n'),
+        logo
+      );
+      expect(logo.output).toEqual(['2', '4', 'grand']);
+      expect(logo.userProcedures()).toEqual(['double']);
+    });
+
+    it('should resolve every localized name to its procedure', () => {
+      for (const locale of Object.values(locales)) {
+        const logo = createInterpreter({ locale: locale });
+        logo.procedureScope.bindValues(turtleCommands(new TurtleRecorder()));
+        for (const [name, localized] of Object.entries(locale.procedures)) {
+          const binding = logo.procedureScope.getBinding(name);
+          expect(binding).toBeDefined();
+          for (const alias of localized) {
+            expect([
+              locale.name,
+              alias,
+              logo.procedureScope.getBinding(alias).value,
+            ]).toEqual([locale.name, alias, binding.value]);
+          }
+        }
+      }
+    });
+
+    it('should localize error messages', async () => {
+      const logo = createInterpreter({ locale: locales.fr });
+      const error = await runError('écris avance', logo);
+      expect(error.code).toBe(ErrorCodes.UNBOUND_FUNCTION);
+      expect(error.message).toBe('Je ne connais pas avance');
+      expect((await runError('print [1 2', logo)).message).toBe(
+        'Il manque un ] pour fermer la liste'
+      );
+      await run('catch "error [print first []] show error', logo);
+      expect(logo.output).toEqual([
+        "[bad-input first n'aime pas son entrée [] 1]",
+      ]);
+    });
+
+    it('should fall back to English', () => {
+      expect(getLocale('es-MX')).toBe(locales.es);
+      expect(getLocale('xx')).toBe(locales.en);
+      expect(getLocale()).toBe(locales.en);
+    });
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * Web Worker entry point for the Logo interpreter.
+ * See `worker.js` for the message protocol.
+ *
+ * @file logo.worker.js
+ * @license ISC
+ */
+
+import {LogoWorkerHost} from './worker.js';
+
+// postMessage and onmessage are the worker's own globals
+let host = new LogoWorkerHost((message) => {
+    postMessage(message);
+});
+
+onmessage = (event) => {
+    host.receive(event.data);
+};
@@ -0,0 +1,298 @@
+/**
+ * Page-side client for a Logo interpreter running in a
+ * Web Worker. See `worker.js` for the message protocol.
+ *
+ * @file remote.js
+ * @license ISC
+ */
+
+import {LogoError} from './logo.js';
+import {createLocalWorker} from './worker.js';
+
+/**
+ * Rebuild an error posted by `serializeError`.
+ *
+ * @param {object} data
+ * @returns {Error}
+ */
+export function deserializeError(data) {
+    if (data.code === undefined) {
+        let err = new Error(data.message);
+        err.name = data.name;
+        return err;
+    }
+    let err = new LogoError(data.code, data.message, data.location, data.token);
+    err.callStack = data.callStack;
+    return err;
+}
+
+/**
+ * Drives a Logo interpreter in a worker with the same
+ * `execute`, `pause`, `continue` and `break` methods as
+ * a local `Interpreter`.
+ *
+ * Turtle drawing arrives through the `ondraw` callback as
+ * batches of operations for `TurtleGraphics#draw`, and
+ * printed text through `onprint`.
+ *
+ * Workspaces saved and loaded by Logo code are kept by the
+ * `storage` adapter, as for `Interpreter#storage`, and lines
+ * for `readword` and `readlist` come from `onread`.
+ */
+export class RemoteInterpreter {
+    /**
+     * @param {Worker|object} worker - a Worker, or anything with
+     *   the same `postMessage` and `onmessage`
+     */
+    constructor(worker) {
+        this.worker = worker;
+        this.worker.onmessage = (event) => {
+            this.receive(event.data);
+        };
+
+        this.nextId = 1;
+        // Promise and onvalue callbacks for execute() calls,
+        // by message id
+        this.pending = new Map();
+
+        // Whether the worker has any task running, including ones
+        // left running by launch, every and after after their
+        // execute() call is done
+        this.workerRunning = false;
+        this.paused = false;
+
+        this.ondraw = null;
+        this.onprint = null;
+        // Async callback giving a line typed by the user,
+        // as for `Interpreter#onread`, and the reads waiting
+        // for it, by message id
+        this.onread = null;
+        this.reads = new Map();
+        // Called with the errors of background tasks, see
+        // `Interpreter#ontaskerror`
+        this.ontaskerror = null;
+        this.storage = null;
+    }
+
+    /**
+     * Open an interpreter in a Web Worker if available,
+     * falling back to running on this thread.
+     *
+     * @param {object} [options] - for the worker's `Interpreter`,
+     *   which must survive being posted, so give `locale` by
+     *   language code; see the configure message
+     * @returns {Promise<RemoteInterpreter>}
+     */
+    static async create(options={}) {
+        let worker;
+        if (typeof Worker === 'undefined') {
+            worker = createLocalWorker(options);
+        } else {
+            let {createLogoWorker} = await import('./create-worker.js');
+            worker = createLogoWorker();
+            worker.postMessage({
+                type: 'configure',
+                options: options,
+            });
+        }
+        return new RemoteInterpreter(worker);
+    }
+
+    /**
+     * Run Logo source code in the worker, alongside any code
+     * already running there.
+     *
+     * @param {string} source
+     * @param {object} [options]
+     * @param {function} [options.onvalue] - called with the output
+     *   of the last instruction, if any, formatted as by `show`;
+     *   see `Interpreter#execute`
+     * @returns {Promise}
+     */
+    execute(source, {onvalue}={}) {
+        let id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, {resolve, reject, onvalue});
+            this.worker.postMessage({
+                type: 'execute',
+                id: id,
+                source: source,
+                echo: Boolean(onvalue),
+            });
+        });
+    }
+
+    /**
+     * Whether any execute() call or task is still running.
+     *
+     * @returns {boolean}
+     */
+    get running() {
+        return this.pending.size > 0 || this.workerRunning;
+    }
+
+    pause() {
+        if (!this.running) {
+            throw new Error('Cannot pause when not running');
+        }
+        if (this.paused) {
+            throw new Error('Already paused');
+        }
+        this.paused = true;
+        this.worker.postMessage({type: 'pause'});
+    }
+
+    continue() {
+        if (!this.running) {
+            throw new Error('Cannot continue when not running');
+        }
+        if (!this.paused) {
+            throw new Error('Cannot continue when not paused');
+        }
+        this.paused = false;
+        this.worker.postMessage({type: 'continue'});
+    }
+
+    break() {
+        if (!this.running) {
+            throw new Error('Cannot break when not running');
+        }
+        this.worker.postMessage({type: 'break'});
+    }
+
+    /**
+     * Pass on a keyboard or mouse event, such as from
+     * `TurtleGraphics#oninput`; see `Interpreter#dispatchEvent`.
+     *
+     * @param {object} event
+     */
+    dispatchEvent(event) {
+        this.worker.postMessage({
+            type: 'event',
+            event: event,
+        });
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.workerRunning = false;
+        for (let {reject} of this.pending.values()) {
+            reject(new Error('Worker terminated'));
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Handle a message from the worker.
+     *
+     * @param {object} message
+     */
+    receive(message) {
+        switch (message.type) {
+            case 'draw':
+                if (this.ondraw) {
+                    this.ondraw(message.operations);
+                }
+                break;
+            case 'print':
+                if (this.onprint) {
+                    this.onprint(message.text);
+                }
+                break;
+            case 'value': {
+                let callbacks = this.pending.get(message.id);
+                if (callbacks && callbacks.onvalue) {
+                    callbacks.onvalue(message.text);
+                }
+                break;
+            }
+            case 'running':
+                this.workerRunning = message.running;
+                if (!this.running) {
+                    this.paused = false;
+                }
+                break;
+            case 'done':
+                this.finish(message.id).resolve();
+                break;
+            case 'error':
+                this.finish(message.id).reject(deserializeError(message.error));
+                break;
+            case 'taskerror':
+                if (this.ontaskerror) {
+                    this.ontaskerror(deserializeError(message.error));
+                }
+                break;
+            case 'storage':
+                this.answerStorage(message);
+                break;
+            case 'read':
+                this.answerRead(message);
+                break;
+            case 'cancel':
+                this.cancelRead(message);
+                break;
+            default:
+                throw new TypeError('Unknown message type ' + message.type);
+        }
+    }
+
+    async answerStorage({id, method, name, text}) {
+        let reply = {
+            type: 'storage',
+            id: id,
+        };
+        try {
+            if (!this.storage) {
+                throw new Error('No storage for saving workspaces');
+            }
+            if (method !== 'save' && method !== 'load') {
+                throw new TypeError('Unknown storage method ' + method);
+            }
+            reply.result = await this.storage[method](name, text);
+        } catch (e) {
+            reply.error = e instanceof Error ? e.message : String(e);
+        }
+        this.worker.postMessage(reply);
+    }
+
+    async answerRead({id}) {
+        let reply = {
+            type: 'read',
+            id: id,
+        };
+        try {
+            if (!this.onread) {
+                throw new Error('No console to read from');
+            }
+            let read = this.onread();
+            this.reads.set(id, read);
+            reply.result = await read;
+        } catch (e) {
+            reply.error = e instanceof Error ? e.message : String(e);
+        } finally {
+            this.reads.delete(id);
+        }
+        this.worker.postMessage(reply);
+    }
+
+    cancelRead({id}) {
+        let read = this.reads.get(id);
+        this.reads.delete(id);
+        if (read && typeof read.cancel === 'function') {
+            read.cancel();
+        }
+    }
+
+    finish(id) {
+        let callbacks = this.pending.get(id);
+        if (!callbacks) {
+            throw new Error('Unknown execute id ' + id);
+        }
+        this.pending.delete(id);
+        if (!this.running) {
+            this.paused = false;
+        }
+        return callbacks;
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Storage adapters for workspaces saved with the Logo `save`
+ * command, for `Interpreter#storage`.
+ *
+ * An adapter keeps JSON text by workspace name, with methods:
+ *
+ * - `save(name, text)`
+ * - `load(name)` returning the text, or undefined if there
+ *   is no such workspace
+ *
+ * Either may return a Promise instead.
+ *
+ * @file storage.js
+ * @license ISC
+ */
+
+/**
+ * Keeps workspaces in memory, for as long as it lives.
+ */
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    save(name, text) {
+        this.items.set(name, text);
+    }
+
+    load(name) {
+        return this.items.get(name);
+    }
+}
+
+/**
+ * Keeps workspaces in a Web Storage area such as
+ * `localStorage`, so they outlast the page.
+ */
+export class WebStorage {
+    /**
+     * @param {Storage} storage
+     * @param {string} [prefix] - prepended to workspace names
+     *   to make the keys
+     */
+    constructor(storage, prefix='logo-workspace:') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    save(name, text) {
+        this.storage.setItem(this.prefix + name, text);
+    }
+
+    load(name) {
+        let text = this.storage.getItem(this.prefix + name);
+        return text === null ? undefined : text;
+    }
+}
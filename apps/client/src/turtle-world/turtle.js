@@ -1,22 +1,21 @@
 /**
  * Turtle graphics backend for Logo interpreter in ES2017.
  * See `readme.md` for details.
- * 
+ *
  * @file turtle.js
  * @author Brion Vibber <brion@pobox.com>
  * @license ISC
  */
 
- export class TurtleGraphics {
-    constructor(el, width, height) {
-        let canvas = document.createElement('canvas');
-        this.width = canvas.width = +width;
-        this.height = canvas.height = +height;
-        el.appendChild(canvas);
-
-        this._canvas = canvas;
-        this._ctx = canvas.getContext('2d');
+import {List} from './logo.js';
 
+/**
+ * Turtle position, heading and pen state, independent of
+ * any display. Subclasses decide what to do with the lines
+ * drawn by overriding `drawLine` and `clearScreen`.
+ */
+export class Turtle {
+    constructor() {
         this.x = 0;
         this.y = 0;
         this.theta = 0;
@@ -25,7 +24,15 @@
     }
 
     clearScreen() {
-        this._ctx.clearRect(0, 0, this.width, this.height);
+        // Nothing to clear
+    }
+
+    /**
+     * Draw a line in turtle coordinates, with the origin
+     * in the center and Y going up.
+     */
+    drawLine(oldX, oldY, newX, newY, color=this.color) {
+        // Nothing to draw on
     }
 
     get heading() {
@@ -44,15 +51,7 @@
         this.y = newY;
 
         if (this.penDown) {
-            let ctx = this._ctx;
-            ctx.beginPath();
-            ctx.strokeStyle = this.color;
-
-            // Center and flip the Y coordinate.
-            ctx.moveTo(oldX + this.width / 2, this.height / 2 - oldY);
-            ctx.lineTo(newX + this.width / 2, this.height / 2 - newY);
-            ctx.stroke();
-            ctx.closePath();
+            this.drawLine(oldX, oldY, newX, newY);
         }
     }
 
@@ -61,7 +60,7 @@
         let newX = this.x + dist * Math.cos(radians);
         let newY = this.y + dist * Math.sin(radians);
         this.setPos(newX, newY);
-    };
+    }
 
     back(dist) {
         this.forward(-dist);
@@ -87,3 +86,218 @@
         this.color = '' + str;
     }
 }
+
+// Keys that only change other keys, which aren't passed on
+const modifierKeys = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+// Keys that would scroll the page, which games often use
+const scrollKeys = [
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+    ' ', 'PageUp', 'PageDown',
+];
+
+/**
+ * Turtle drawing onto a canvas appended to the given element.
+ *
+ * Keyboard and mouse events on the canvas go to `oninput`, ready
+ * for `Interpreter#dispatchEvent`; the canvas takes keyboard
+ * focus when clicked.
+ */
+export class TurtleGraphics extends Turtle {
+    constructor(el, width, height) {
+        super();
+        let canvas = document.createElement('canvas');
+        this.width = canvas.width = +width;
+        this.height = canvas.height = +height;
+        el.appendChild(canvas);
+
+        this._canvas = canvas;
+        this._ctx = canvas.getContext('2d');
+
+        this.oninput = null;
+        canvas.tabIndex = 0;
+        for (let type of ['mousedown', 'mousemove', 'mouseup']) {
+            canvas.addEventListener(type, (event) => {
+                let {x, y} = this.toTurtle(event.clientX, event.clientY);
+                this.input({type: type, x: x, y: y});
+            });
+        }
+        canvas.addEventListener('keydown', (event) => {
+            // Tab moves the focus on, out of the canvas
+            if (modifierKeys.includes(event.key) || event.key === 'Tab') {
+                return;
+            }
+            // Keep arrows and space from scrolling the page, but
+            // leave shortcuts like copy and reload alone
+            let shortcut = event.ctrlKey || event.metaKey || event.altKey;
+            if (!shortcut && scrollKeys.includes(event.key)) {
+                event.preventDefault();
+            }
+            this.input({type: 'key', key: event.key});
+        });
+    }
+
+    /**
+     * Convert a position on the page into turtle coordinates,
+     * with the origin in the center and Y going up, as used by
+     * `setPos`.
+     *
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {object} with `x` and `y`, rounded to whole pixels
+     */
+    toTurtle(clientX, clientY) {
+        let rect = this._canvas.getBoundingClientRect();
+        // The canvas may be scaled by CSS
+        let canvasX = (clientX - rect.left) * this.width / (rect.width || this.width);
+        let canvasY = (clientY - rect.top) * this.height / (rect.height || this.height);
+        return {
+            x: Math.round(canvasX - this.width / 2),
+            y: Math.round(this.height / 2 - canvasY),
+        };
+    }
+
+    input(event) {
+        if (this.oninput) {
+            this.oninput(event);
+        }
+    }
+
+    clearScreen() {
+        this._ctx.clearRect(0, 0, this.width, this.height);
+    }
+
+    drawLine(oldX, oldY, newX, newY, color=this.color) {
+        let ctx = this._ctx;
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+
+        // Center and flip the Y coordinate.
+        ctx.moveTo(oldX + this.width / 2, this.height / 2 - oldY);
+        ctx.lineTo(newX + this.width / 2, this.height / 2 - newY);
+        ctx.stroke();
+        ctx.closePath();
+    }
+
+    /**
+     * Replay drawing operations recorded by a `TurtleRecorder`,
+     * such as those sent back from a worker.
+     *
+     * @param {Array<object>} operations
+     */
+    draw(operations) {
+        for (let operation of operations) {
+            switch (operation.op) {
+                case 'clear':
+                    this.clearScreen();
+                    break;
+                case 'line':
+                    this.drawLine(operation.x1, operation.y1,
+                        operation.x2, operation.y2, operation.color);
+                    break;
+                default:
+                    throw new TypeError('Unknown drawing operation ' + operation.op);
+            }
+        }
+    }
+}
+
+/**
+ * Turtle that records its drawing operations as plain
+ * objects, so they can be posted to another thread and
+ * replayed with `TurtleGraphics#draw`.
+ */
+export class TurtleRecorder extends Turtle {
+    constructor() {
+        super();
+        this.operations = [];
+    }
+
+    clearScreen() {
+        this.operations.push({op: 'clear'});
+    }
+
+    drawLine(oldX, oldY, newX, newY, color=this.color) {
+        this.operations.push({
+            op: 'line',
+            x1: oldX,
+            y1: oldY,
+            x2: newX,
+            y2: newY,
+            color: color,
+        });
+    }
+
+    /**
+     * Remove and return the operations recorded so far.
+     *
+     * @returns {Array<object>}
+     */
+    takeOperations() {
+        let operations = this.operations;
+        this.operations = [];
+        return operations;
+    }
+}
+
+/**
+ * Create the Logo turtle commands for a turtle, ready
+ * for `interpreter.procedureScope.bindValues()`.
+ *
+ * @param {Turtle} turtle
+ * @returns {object} map of procedure names to functions
+ */
+export function turtleCommands(turtle) {
+    return {
+        cs: function() {
+            turtle.clearScreen();
+        },
+        xcor: function() {
+            return turtle.x;
+        },
+        ycor: function() {
+            return turtle.y;
+        },
+        pos: function() {
+            return List.of(turtle.x, turtle.y);
+        },
+        setpos: function(list) {
+            if (!(list instanceof List)) {
+                throw new TypeError('list must be a list');
+            }
+            if (list.isEmpty() || list.tail.isEmpty()) {
+                throw new TypeError('list must have two elements');
+            }
+            let x = Number(list.head);
+            let y = Number(list.tail.head);
+            turtle.setPos(x, y);
+        },
+        heading: function() {
+            return turtle.heading;
+        },
+        seth: function(val) {
+            turtle.heading = Number(val);
+        },
+        forward: function(dist) {
+            turtle.forward(+dist);
+        },
+        back: function(dist) {
+            turtle.back(+dist);
+        },
+        right: function(deg) {
+            turtle.right(+deg);
+        },
+        left: function(deg) {
+            turtle.left(+deg);
+        },
+        up: function() {
+            turtle.up();
+        },
+        down: function() {
+            turtle.down();
+        },
+        color: function(color) {
+            turtle.setColor('' + color);
+        },
+    };
+}
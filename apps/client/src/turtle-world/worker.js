@@ -0,0 +1,368 @@
+/**
+ * Hosts a Logo interpreter inside a Web Worker, so that long
+ * running programs don't block the page.
+ *
+ * Messages to the worker:
+ *
+ * - `{type: 'configure', options}` replaces the interpreter with
+ *   a fresh one made with the given `Interpreter` options, where
+ *   `locale` may be a language code for `getLocale`
+ * - `{type: 'execute', id, source, echo}` runs Logo source code,
+ *   echoing any output of its last instruction if `echo` is true
+ * - `{type: 'pause'}`, `{type: 'continue'}`, `{type: 'break'}`
+ *   control the running code like the `Interpreter` methods
+ * - `{type: 'event', event}` passes a keyboard or mouse event
+ *   to `Interpreter#dispatchEvent`
+ * - `{type: 'storage', id, result}` or `{type: 'storage', id, error}`
+ *   answers a storage request with the result or error message
+ * - `{type: 'read', id, result}` or `{type: 'read', id, error}`
+ *   answers a read request with the line typed or error message
+ *
+ * Messages from the worker:
+ *
+ * - `{type: 'draw', operations}` carries a batch of drawing
+ *   operations for `TurtleGraphics#draw`
+ * - `{type: 'print', text}` carries output from `print` etc.
+ * - `{type: 'value', id, text}` echoes the output of an execute
+ *   with `echo` set, formatted as by `show`
+ * - `{type: 'done', id}` reports that an execute finished
+ * - `{type: 'error', id, error}` reports that it failed, with
+ *   the error fields from `serializeError`
+ * - `{type: 'taskerror', error}` reports that a task started by
+ *   `launch`, `every` or `after` failed
+ * - `{type: 'running', running}` reports that code started running
+ *   with nothing else running, or that the last task ended; see
+ *   `Interpreter#onrunning`
+ * - `{type: 'storage', id, method, name, text}` asks the page
+ *   to `save` or `load` a workspace for the Logo commands of
+ *   the same names; see `RemoteInterpreter#storage`
+ * - `{type: 'read', id}` asks the page for a line typed by the
+ *   user, for `readword` and `readlist`; see `RemoteInterpreter#onread`
+ * - `{type: 'cancel', id}` withdraws a request, such as a read
+ *   when the task reading is broken off; any answer is ignored
+ *
+ * Drawing operations are always sent before any later print,
+ * done or error message. Tasks may keep running and drawing
+ * after their execute is done.
+ *
+ * @file worker.js
+ * @license ISC
+ */
+
+import {getLocale} from './locales.js';
+import {Interpreter, List, LogoError} from './logo.js';
+import {TurtleRecorder, turtleCommands} from './turtle.js';
+
+/**
+ * Convert an error into a plain object that can be posted
+ * between threads.
+ *
+ * @param {*} err
+ * @returns {object}
+ */
+export function serializeError(err) {
+    if (!(err instanceof LogoError)) {
+        return {
+            name: err instanceof Error ? err.name : 'Error',
+            message: err instanceof Error ? err.message : String(err),
+        };
+    }
+    let location;
+    if (err.hasLocation()) {
+        location = {
+            source: err.source,
+            start: err.start,
+            end: err.end,
+        };
+    }
+    return {
+        name: err.name,
+        code: err.code,
+        message: err.message,
+        token: err.token === undefined ? undefined : List.stringify(err.token),
+        location: location,
+        callStack: err.callStack && err.callStack.map((frame) => {
+            return {
+                name: frame.name,
+                args: frame.args.map((arg) => List.stringify(arg)),
+                location: frame.location,
+            };
+        }),
+    };
+}
+
+export class LogoWorkerHost {
+    /**
+     * @param {function} postMessage - sends a message to the page
+     * @param {object} [options] - passed on to the `Interpreter`,
+     *   as for the configure message
+     */
+    constructor(postMessage, options={}) {
+        this.postMessage = postMessage;
+
+        // Callbacks for storage and read requests, by message id,
+        // and ids of requests withdrawn before their answer came
+        this.requests = new Map();
+        this.withdrawn = new Set();
+        this.nextRequestId = 1;
+
+        this.interpreter = null;
+        this.configure(options);
+    }
+
+    /**
+     * Start over with a new turtle and interpreter.
+     *
+     * @param {object} options - passed on to the `Interpreter`,
+     *   with `locale` optionally given by language code
+     */
+    configure(options) {
+        // Stop whatever the old interpreter was running, so it
+        // doesn't go on posting messages, and fail its requests.
+        if (this.interpreter) {
+            this.control(() => this.interpreter.break());
+        }
+        for (let [id, {reject}] of Array.from(this.requests)) {
+            this.withdraw(id);
+            reject(new Error('Interpreter was replaced'));
+        }
+
+        if (typeof options.locale === 'string') {
+            options = Object.assign({}, options, {
+                locale: getLocale(options.locale),
+            });
+        }
+
+        this.turtle = new TurtleRecorder();
+        this.interpreter = new Interpreter(options);
+        this.interpreter.procedureScope.bindValues(turtleCommands(this.turtle));
+        this.interpreter.onprint = (text) => {
+            this.flush();
+            this.postMessage({
+                type: 'print',
+                text: text,
+            });
+        };
+        // The interpreter yields every `yieldInterval` ms, letting
+        // pause and break requests through; send drawing in
+        // batches at the same pace.
+        this.interpreter.onyield = () => {
+            this.flush();
+        };
+        this.interpreter.onrunning = (running) => {
+            this.flush();
+            this.postMessage({
+                type: 'running',
+                running: running,
+            });
+        };
+        this.interpreter.ontaskerror = (err) => {
+            this.flush();
+            this.postMessage({
+                type: 'taskerror',
+                error: serializeError(err),
+            });
+        };
+
+        if (!this.interpreter.storage) {
+            this.interpreter.storage = {
+                save: (name, text) => this.request('save', name, text),
+                load: (name) => this.request('load', name),
+            };
+        }
+        this.interpreter.onread = () => {
+            this.flush();
+            let read = this.ask({type: 'read'});
+            read.cancel = () => this.withdraw(read.id);
+            return read;
+        };
+    }
+
+    /**
+     * Ask the page to save or load a workspace.
+     *
+     * @param {string} method - 'save' or 'load'
+     * @param {string} name
+     * @param {string} [text]
+     * @returns {Promise}
+     */
+    request(method, name, text) {
+        return this.ask({
+            type: 'storage',
+            method: method,
+            name: name,
+            text: text,
+        });
+    }
+
+    /**
+     * Send the page a message needing an answer, which comes
+     * back as a message of the same type and id.
+     *
+     * @param {object} message
+     * @returns {Promise} resolving with the answer's result, with
+     *   the message id as its `id`
+     */
+    ask(message) {
+        let id = this.nextRequestId++;
+        let answer = new Promise((resolve, reject) => {
+            this.requests.set(id, {resolve, reject});
+            this.postMessage(Object.assign({id: id}, message));
+        });
+        answer.id = id;
+        return answer;
+    }
+
+    /**
+     * Tell the page that a request's answer is no longer wanted,
+     * and ignore it if it comes anyway.
+     *
+     * @param {number} id
+     */
+    withdraw(id) {
+        if (!this.requests.delete(id)) {
+            return;
+        }
+        this.withdrawn.add(id);
+        this.postMessage({
+            type: 'cancel',
+            id: id,
+        });
+    }
+
+    /**
+     * Send any pending drawing operations.
+     */
+    flush() {
+        let operations = this.turtle.takeOperations();
+        if (operations.length) {
+            this.postMessage({
+                type: 'draw',
+                operations: operations,
+            });
+        }
+    }
+
+    /**
+     * Handle a message from the page.
+     *
+     * @param {object} message
+     */
+    receive(message) {
+        switch (message.type) {
+            case 'configure':
+                this.configure(message.options);
+                break;
+            case 'execute':
+                this.execute(message.id, message.source, message.echo);
+                break;
+            case 'pause':
+                this.control(() => this.interpreter.pause());
+                break;
+            case 'continue':
+                this.control(() => this.interpreter.continue());
+                break;
+            case 'break':
+                this.control(() => this.interpreter.break());
+                break;
+            case 'event':
+                this.interpreter.dispatchEvent(message.event);
+                break;
+            case 'storage':
+            case 'read':
+                this.answered(message);
+                break;
+            default:
+                throw new TypeError('Unknown message type ' + message.type);
+        }
+    }
+
+    async execute(id, source, echo=false) {
+        let options = {};
+        if (echo) {
+            options.onvalue = (value) => {
+                this.flush();
+                this.postMessage({
+                    type: 'value',
+                    id: id,
+                    text: List.stringify(value, ['[', ']'], [],
+                        this.interpreter.dialect.formatNumber),
+                });
+            };
+        }
+        try {
+            await this.interpreter.execute(source, options);
+            this.flush();
+            this.postMessage({
+                type: 'done',
+                id: id,
+            });
+        } catch (e) {
+            this.flush();
+            this.postMessage({
+                type: 'error',
+                id: id,
+                error: serializeError(e),
+            });
+        }
+    }
+
+    answered(message) {
+        let callbacks = this.requests.get(message.id);
+        if (this.withdrawn.delete(message.id)) {
+            return;
+        }
+        if (!callbacks) {
+            throw new Error('Unknown ' + message.type + ' request id ' + message.id);
+        }
+        this.requests.delete(message.id);
+        if (message.error !== undefined) {
+            callbacks.reject(new Error(message.error));
+        } else {
+            callbacks.resolve(message.result);
+        }
+    }
+
+    control(callback) {
+        try {
+            callback();
+        } catch (e) {
+            // The program may have finished before the request
+            // arrived; there's nothing left to control.
+        }
+    }
+}
+
+/**
+ * Create a Worker-like object that runs a `LogoWorkerHost` on
+ * the current thread, with messages delivered asynchronously
+ * just like a real Worker. For environments without Workers,
+ * such as Node and tests.
+ *
+ * @param {object} [options] - passed on to the `Interpreter`
+ * @returns {object} with `postMessage`, `onmessage` and `terminate`
+ */
+export function createLocalWorker(options={}) {
+    let terminated = false;
+    let worker = {
+        onmessage: null,
+        postMessage(data) {
+            setTimeout(() => {
+                if (!terminated) {
+                    host.receive(data);
+                }
+            }, 0);
+        },
+        terminate() {
+            terminated = true;
+        },
+    };
+    let host = new LogoWorkerHost((data) => {
+        setTimeout(() => {
+            if (!terminated && worker.onmessage) {
+                worker.onmessage({data: data});
+            }
+        }, 0);
+    }, options);
+    return worker;
+}
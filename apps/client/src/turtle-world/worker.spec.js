@@ -0,0 +1,252 @@
+import { LogoConsole } from './console';
+import { ErrorCodes, LogoError } from './logo';
+import { RemoteInterpreter } from './remote';
+import { MemoryStorage } from './storage';
+import { createLocalWorker, LogoWorkerHost } from './worker';
+
+function createRemote(options) {
+  const remote = new RemoteInterpreter(createLocalWorker(options));
+  remote.messages = [];
+  remote.ondraw = (operations) => {
+    remote.messages.push(...operations.map((op) => op.op));
+  };
+  remote.onprint = (text) => {
+    remote.messages.push('print ' + text);
+  };
+  return remote;
+}
+
+describe('LogoWorkerHost', () => {
+  it('should send drawing operations before later prints', async () => {
+    const posted = [];
+    const host = new LogoWorkerHost((message) => posted.push(message));
+    await host.execute(1, 'cs setpos [0 10] print "moved setpos [10 10]');
+    expect(posted.filter((message) => message.type !== 'running')).toEqual([
+      {
+        type: 'draw',
+        operations: [
+          { op: 'clear' },
+          { op: 'line', x1: 0, y1: 0, x2: 0, y2: 10, color: 'black' },
+        ],
+      },
+      { type: 'print', text: 'moved' },
+      {
+        type: 'draw',
+        operations: [
+          { op: 'line', x1: 0, y1: 10, x2: 10, y2: 10, color: 'black' },
+        ],
+      },
+      { type: 'done', id: 1 },
+    ]);
+  });
+
+  it('should report when code starts and stops running', async () => {
+    const posted = [];
+    const host = new LogoWorkerHost((message) => posted.push(message));
+    await host.execute(1, 'print 1');
+    expect(posted.map((message) => message.type)).toEqual([
+      'running',
+      'print',
+      'running',
+      'done',
+    ]);
+    expect(posted[0].running).toBe(true);
+    expect(posted[2].running).toBe(false);
+  });
+
+  it('should stop the old interpreter when configured', async () => {
+    const posted = [];
+    const host = new LogoWorkerHost((message) => posted.push(message));
+    await host.execute(1, 'launch [forever [print "old wait 1]]');
+    const reading = host.execute(2, 'print readword');
+    host.receive({ type: 'configure', options: {} });
+    await reading;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const printed = posted.filter((message) => message.type === 'print');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(posted.filter((message) => message.type === 'print')).toEqual(
+      printed
+    );
+    expect(host.interpreter.running).toBe(false);
+    const read = posted.find((message) => message.type === 'read');
+    expect(posted).toContainEqual({ type: 'cancel', id: read.id });
+    expect(posted).toContainEqual(
+      expect.objectContaining({ type: 'error', id: 2 })
+    );
+    host.receive({ type: 'read', id: read.id, result: 'late' });
+  });
+
+  it('should start over in another locale when configured', async () => {
+    const posted = [];
+    const host = new LogoWorkerHost((message) => posted.push(message));
+    await host.execute(1, 'make "x 1');
+    host.receive({ type: 'configure', options: { locale: 'fr' } });
+    await host.execute(2, 'écris :x');
+    expect(posted.pop()).toMatchObject({
+      type: 'error',
+      id: 2,
+      error: {
+        code: ErrorCodes.UNDECLARED_VARIABLE,
+        message: ":x n'a pas de valeur",
+      },
+    });
+  });
+});
+
+describe('RemoteInterpreter', () => {
+  it('should report errors from background tasks', async () => {
+    const remote = createRemote();
+    const error = new Promise((resolve) => {
+      remote.ontaskerror = resolve;
+    });
+    await remote.execute('after 10 [print first []]');
+    expect((await error).code).toBe(ErrorCodes.BAD_INPUT);
+    expect(remote.running).toBe(false);
+  });
+
+  it('should run code in the worker', async () => {
+    const remote = createRemote();
+    await remote.execute('cs print "hello forward 5');
+    expect(remote.messages).toEqual(['clear', 'print hello', 'line']);
+    expect(remote.running).toBe(false);
+  });
+
+  it('should pass options to the worker', async () => {
+    const remote = new RemoteInterpreter(createLocalWorker({ locale: 'es' }));
+    const printed = [];
+    remote.onprint = (text) => printed.push(text);
+    await remote.execute('escribe suma 1 2');
+    expect(printed).toEqual(['3']);
+  });
+
+  it('should keep the workspace between runs', async () => {
+    const remote = createRemote();
+    await remote.execute('to twice :n\n  output :n * 2\nend');
+    await remote.execute('print twice 21');
+    expect(remote.messages).toEqual(['print 42']);
+  });
+
+  it('should reject with located errors and traces', async () => {
+    const remote = createRemote();
+    const source =
+      'to inner\n  print first []\nend\nto outer\n  inner\nend\nouter';
+    const error = await remote.execute(source).catch((e) => e);
+    expect(error).toBeInstanceOf(LogoError);
+    expect(error.code).toBe(ErrorCodes.BAD_INPUT);
+    expect(error.line).toBe(2);
+    expect(error.token).toBe('first');
+    expect(error.trace()).toEqual([
+      'in inner called from outer at line 5',
+      'in outer called at line 7',
+    ]);
+  });
+
+  it('should run code alongside code already running', async () => {
+    const remote = createRemote();
+    const first = remote.execute('wait 3 print 1');
+    await remote.execute('print 2');
+    expect(remote.running).toBe(true);
+    await first;
+    expect(remote.messages).toEqual(['print 2', 'print 1']);
+    expect(remote.running).toBe(false);
+  });
+
+  it('should echo outputs when asked', async () => {
+    const remote = createRemote();
+    const values = [];
+    await remote.execute('list 1 [2 3]', {
+      onvalue: (text) => values.push(text),
+    });
+    expect(values).toEqual(['[1 [2 3]]']);
+    const error = await remote.execute('se 1 2').catch((e) => e);
+    expect(error.code).toBe(ErrorCodes.UNUSED_OUTPUT);
+  });
+
+  it('should read lines from the page', async () => {
+    const remote = createRemote();
+    remote.onread = async () => 'hello world';
+    await remote.execute('print readword print first readlist');
+    expect(remote.messages).toEqual(['print hello world', 'print hello']);
+    remote.onread = null;
+    const error = await remote.execute('print readword').catch((e) => e);
+    expect(error.message).toBe('No console to read from');
+  });
+
+  it('should break out of endless loops', async () => {
+    const remote = createRemote();
+    const done = remote.execute('forever [forward 1]');
+    setTimeout(() => remote.break(), 50);
+    const error = await done.catch((e) => e);
+    expect(error.code).toBe(ErrorCodes.BREAK);
+    expect(remote.messages.length).toBeGreaterThan(0);
+  });
+
+  it('should break tasks left running after execute is done', async () => {
+    const remote = createRemote();
+    await remote.execute('launch [forever [print 1 wait 1]]');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(remote.running).toBe(true);
+    remote.break();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(remote.running).toBe(false);
+    const printed = remote.messages.length;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(remote.messages.length).toBe(printed);
+    expect(printed).toBeGreaterThan(0);
+  });
+
+  it('should pause and continue', async () => {
+    const remote = createRemote();
+    const done = remote.execute('repeat 10000 [forward 1]');
+    remote.pause();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const drawn = remote.messages.length;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(remote.messages.length).toBe(drawn);
+    remote.continue();
+    await done;
+    expect(remote.messages.length).toBe(10000);
+  });
+
+  it('should withdraw reads broken off in the worker', async () => {
+    const remote = createRemote();
+    const logoConsole = new LogoConsole(remote);
+    remote.onread = () => logoConsole.read();
+    const done = remote.execute('print readword');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(logoConsole.readers.length).toBe(1);
+    remote.break();
+    expect((await done.catch((e) => e)).code).toBe(ErrorCodes.BREAK);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(logoConsole.readers.length).toBe(0);
+    expect(remote.reads.size).toBe(0);
+  });
+
+  it('should pass events to handlers in the worker', async () => {
+    const remote = createRemote();
+    await remote.execute('onclick [setpos mousepos]');
+    remote.dispatchEvent({ type: 'mousedown', x: 30, y: 40 });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await remote.execute('print pos');
+    expect(remote.messages).toEqual(['line', 'print 30 40']);
+  });
+
+  it('should keep saved workspaces on the page side', async () => {
+    const remote = createRemote();
+    remote.storage = new MemoryStorage();
+    await remote.execute('make "x 5 save "work');
+    expect(JSON.parse(remote.storage.load('work')).variables).toEqual([
+      { name: 'x', value: 5 },
+    ]);
+    const other = createRemote();
+    other.storage = remote.storage;
+    await other.execute('load "work print :x');
+    expect(other.messages).toEqual(['print 5']);
+  });
+
+  it('should report missing storage to the worker', async () => {
+    const remote = createRemote();
+    const error = await remote.execute('save "work').catch((e) => e);
+    expect(error.message).toBe('No storage for saving workspaces');
+  });
+});